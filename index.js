@@ -1,4 +1,112 @@
-const WHITESPACE_REGEX = /(?:[ ]+\n?|\n)/y;
+const WHITESPACE_REGEX = /(?:[ \t]+(?:\r?\n|\r)?|\r?\n|\r)/y;
+// What ParseErrors found, a word of any script, accents included, or any
+// other character
+const FOUND_REGEX = /^(?:[\p{L}\p{M}\p{N}_]+|\S)/u;
+
+// Token types, lexed tokens use the pattern that matched them as type
+const T = { UNKNOWN: "UNKNOWN", INDENT: "INDENT", DEDENT: "DEDENT" };
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+// The flag regexes combined from `regexes` need for their sources to keep
+// their meaning, "v" or "u" when one of them has it
+const unicodeFlag = (...regexes) => {
+  if (regexes.some((regex) => regex.unicodeSets)) return "v";
+  return regexes.some((regex) => regex.unicode) ? "u" : "";
+};
+
+const isContent = (exp) => exp.AST || !exp.isWhiteSpace;
+// Lengths of a string in code points and in graphemes, user-perceived
+// characters like "👍🏽"
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter() : null;
+const codePointLength = (str) => {
+  let length = 0;
+  for (const _ of str) length++;
+  return length;
+};
+const graphemeLength = (str) => {
+  if (!graphemeSegmenter) return codePointLength(str);
+  let length = 0;
+  for (const _ of graphemeSegmenter.segment(str)) length++;
+  return length;
+};
+// Labels the content of exps, keeping their own labels unless `overwrite`
+const labelExps = (exps, label, overwrite = true) =>
+  exps.forEach((exp) => {
+    if (isContent(exp) && (overwrite || !exp.label)) exp.label = label;
+  });
+// The [start, end] cursors of the content of a node or token
+const spanOf = (exp) => {
+  if (!exp.AST) return [exp.start, exp.end];
+  const tokens = exp.contentTokens;
+  return tokens.length ? [tokens[0].start, tokens.at(-1).end] : [-1, -1];
+};
+// Properties nodes set on themselves, see the $AST constructor
+const NODE_PROPERTIES = new Set([
+  ...["AST", "name", "s", "label", "comments", "error", "precedence"],
+  ...["shapeExp", "_exps", "_tokens", "_text"],
+]);
+// Whether a label would shadow a property of the nodes of `$CLASS`
+const isReserved = ($CLASS, label) =>
+  NODE_PROPERTIES.has(label) || label in $CLASS.prototype;
+// Where nodes keep the value of their ACTION, see $AST.value
+const VALUE = Symbol("value");
+const setValue = (node, value) =>
+  Object.defineProperty(node, VALUE, {
+    value,
+    writable: true,
+    configurable: true,
+  });
+// The value of a node without ACTION, the value of its only content exp, or
+// its text
+const contentValueOf = (node) => {
+  const content = node.exps.filter(isContent);
+  return content.length === 1 ? valueOf(content[0]) : node.text;
+};
+// The value of a node or token, see $AST.ACTION
+const valueOf = (exp) =>
+  exp instanceof $AST && !exp.constructor.ACTION
+    ? contentValueOf(exp)
+    : exp.value;
+// Classes whose parse only builds values while evaluating, see $AST.evaluate
+const evaluatesValues = ($CLASS) =>
+  [$AST, $AST_LEFT_RECURSIVE, $AST_PRECEDENCE, $EXP].some(
+    ($BASE) => $CLASS.parse === $BASE.parse
+  );
+
+// Version of the data of $AST.serialize, bumped when it changes
+const SERIALIZATION_VERSION = 1;
+// Plain data of a node or token, nodes have a `class`. Of the element that
+// parsed an exp, only the options read after parsing are kept.
+const serializeExp = (exp) => {
+  const { shapeExp, ...props } = exp;
+  const options = shapeExp && {
+    shapeExp: Object.fromEntries(
+      ["s", "e"].filter((key) => shapeExp[key]).map((k) => [k, shapeExp[k]])
+    ),
+  };
+  if (exp.TOKEN) {
+    const { type, TOKEN, _line, ...rest } = props;
+    return {
+      ...(type instanceof RegExp
+        ? { regex: [type.source, type.flags] }
+        : { type }),
+      ...rest,
+      line: exp.line,
+      ...options,
+    };
+  }
+  const { _exps, _tokens, _text, s, name, AST, comments, error, ...rest } =
+    props;
+  return {
+    class: exp.constructor.name,
+    ...rest,
+    ...options,
+    exps: exp.exps.map(serializeExp),
+    ...(comments.length && { comments: comments.map(serializeExp) }),
+    ...(error && { error: { ...error } }),
+  };
+};
 
 Object.defineProperty(Array.prototype, "binarySearch", {
   value: function (callback) {
@@ -27,15 +135,171 @@ export class ASTError {
   }
 }
 
+export class ParseError extends Error {
+  constructor({
+    line = 0,
+    col = 0,
+    codePointCol = col,
+    graphemeCol = codePointCol,
+    cursor = 0,
+    expected = [],
+    found = "",
+    excerpt = "",
+  } = {}) {
+    const expectation =
+      expected.length > 1
+        ? `expected one of ${expected.join(", ")}`
+        : `expected ${expected[0] || "end of input"}`;
+    const reason = `${expectation}, found ${found}`;
+    // Columns in messages count graphemes, what readers see as characters
+    super(`${line + 1}:${graphemeCol + 1} ${reason}\n\n${excerpt}`);
+
+    this.name = "ParseError";
+    this.reason = reason;
+    this.line = line;
+    this.col = col;
+    this.codePointCol = codePointCol;
+    this.graphemeCol = graphemeCol;
+    this.cursor = cursor;
+    this.expected = expected;
+    this.found = found;
+    this.excerpt = excerpt;
+  }
+}
+
+// Types of nodes, see $AST.getType. A type accepts the types that can be
+// used where it's expected.
+export class Type {
+  accepts(type) {
+    if (type instanceof TypeUnknown) return true;
+    if (type instanceof TypeUnion)
+      return type.types.every((member) => this.accepts(member));
+    return this.equals(type);
+  }
+  equals(type) {
+    return this === type || `${this}` === `${type}`;
+  }
+}
+
+// Anything, accepted everywhere so one error isn't reported again by every
+// node depending on it
+export class TypeUnknown extends Type {
+  accepts() {
+    return true;
+  }
+  toString() {
+    return "unknown";
+  }
+}
+
+export class TypePrimitive extends Type {
+  constructor(name = "") {
+    super();
+    this.name = name;
+  }
+  toString() {
+    return this.name;
+  }
+}
+
+export class TypeFunction extends Type {
+  constructor(params = [], returns = new TypeUnknown()) {
+    super();
+    this.params = params;
+    this.returns = returns;
+  }
+  // Functions taking what this one is given and returning what it returns
+  accepts(type) {
+    if (!(type instanceof TypeFunction)) return super.accepts(type);
+    return (
+      type.params.length === this.params.length &&
+      type.params.every((param, i) => param.accepts(this.params[i])) &&
+      this.returns.accepts(type.returns)
+    );
+  }
+  toString() {
+    return `(${this.params.join(", ")}) => ${this.returns}`;
+  }
+}
+
+export class TypeUnion extends Type {
+  constructor(types = []) {
+    super();
+    // Nested unions are flattened and duplicates dropped
+    this.types = [];
+    types
+      .flatMap((type) => (type instanceof TypeUnion ? type.types : [type]))
+      .forEach((type) => {
+        if (!this.types.some((t) => t.equals(type))) this.types.push(type);
+      });
+  }
+  // The union of `types`, or the only one of them
+  static of(...types) {
+    const union = new TypeUnion(types);
+    return union.types.length === 1 ? union.types[0] : union;
+  }
+  accepts(type) {
+    if (type instanceof TypeUnion)
+      return type.types.every((member) => this.accepts(member));
+    return this.types.some((member) => member.accepts(type));
+  }
+  toString() {
+    return this.types.join(" | ");
+  }
+}
+
+// Types of names in lexical scopes, see $AST.validate
+export class TypeEnv {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.types = new Map();
+  }
+
+  // A scope within this one, its names shadow the names of this one
+  scope() {
+    return new TypeEnv(this);
+  }
+
+  define(name, type = new TypeUnknown()) {
+    this.types.set(name, type);
+    return type;
+  }
+  // The type of `name` in the closest scope defining it, null if undefined
+  lookup(name) {
+    if (this.types.has(name)) return this.types.get(name);
+    return this.parent ? this.parent.lookup(name) : null;
+  }
+  has(name) {
+    return this.lookup(name) !== null;
+  }
+}
+
 export class $AST {
   static AST = true;
   static fallbackToFirstExp = true;
   static allowIncompleteParse = false;
   static incompleteParseThreshold = 1;
+  static useCache = false;
+  // Tokens ending the input skipped when a repetition of this class fails
+  static SYNC = null;
+  // (node, formatter) => Doc, see Formatter
+  static LAYOUT = null;
+  // (fields, node) => value, the value of the node from the values of its
+  // fields. While evaluating, the node is only { exps, text }.
+  static ACTION = null;
+  // (node, builder) => parts, the code the node compiles to, see CodeBuilder
+  static EMIT = null;
+  // Name resolution, see SymbolTable: the label of the fields holding the
+  // names this node declares, whether the node is a reference to a name, and
+  // whether it's a scope
+  static DECLARES = null;
+  static REFERENCE = false;
+  static SCOPE = false;
   static s = ``;
 
-  constructor({ exps = [], ...rest } = {}) {
+  constructor({ exps = [], comments = [], ...rest } = {}) {
     Object.assign(this, rest);
+    this.comments = comments;
 
     this._exps = exps;
     this._tokens = [];
@@ -46,6 +310,18 @@ export class $AST {
 
     this._text = this.tokens.map((t) => t.value).join("");
 
+    const fields = this.constructor.fields(this.exps);
+    fields.forEach((value, label) =>
+      Object.defineProperty(this, label, {
+        value,
+        writable: true,
+        configurable: true,
+      })
+    );
+    const { ACTION } = this.constructor;
+    if (ACTION)
+      setValue(this, ACTION(this.constructor.fieldValues(fields), this));
+
     this.s = this.constructor.s;
     this.name = this.constructor.name;
     this.AST = true;
@@ -53,6 +329,13 @@ export class $AST {
   get exps() {
     return this._exps;
   }
+  // The result of the ACTION of the class, run when the node was built
+  get value() {
+    return this[VALUE];
+  }
+  set value(value) {
+    setValue(this, value);
+  }
   get contentExps() {
     return this.exps.filter(
       (e) => e instanceof $AST || (e instanceof Token && !e.isWhiteSpace)
@@ -82,6 +365,149 @@ export class $AST {
   get col() {
     return this.tokens[0].col;
   }
+  get start() {
+    return this.tokens[0] ? this.tokens[0].start : 0;
+  }
+  get end() {
+    return this.tokens.at(-1) ? this.tokens.at(-1).end : 0;
+  }
+  // The errors of the input skipped by error recovery within this node
+  get errors() {
+    return this.exps.flatMap((exp) => {
+      if (exp instanceof $ERROR) return [exp.error];
+      return exp.AST ? exp.errors : [];
+    });
+  }
+
+  // Labels of the SHAPE, mapped to whether they label repeated exps
+  static get labels() {
+    if (Object.hasOwn(this, "_labels")) return this._labels;
+
+    const labels = new Map();
+    const actions = new Map();
+    const collect = (shape, isRepeated) =>
+      shape.forEach((shapeExp) => {
+        const repeated = isRepeated || shapeExp.max > 1;
+        if (shapeExp.label && isReserved(this, shapeExp.label))
+          throw new Error(
+            `${this.name}: label "${shapeExp.label}" would shadow a property of nodes`
+          );
+        if (shapeExp.label)
+          labels.set(shapeExp.label, repeated || labels.has(shapeExp.label));
+        if (shapeExp.label && shapeExp.action)
+          actions.set(shapeExp.label, shapeExp.action);
+        if (shapeExp.SUB_SHAPE_EXP || shapeExp.OPTION_EXP)
+          collect(shapeExp.value, repeated);
+      });
+    collect(this.SHAPE || [], false);
+    this._actions = actions;
+    return (this._labels = labels);
+  }
+  // Actions of the labeled elements of the SHAPE, by label
+  static get actions() {
+    if (!Object.hasOwn(this, "_actions")) this.labels;
+    return this._actions || new Map();
+  }
+
+  // Labeled exps by label, arrays when repeated and null when absent
+  static fields(exps = []) {
+    const labels = new Map(this.labels);
+    exps.forEach((exp) => {
+      if (exp.label && isContent(exp) && !labels.has(exp.label))
+        labels.set(
+          exp.label,
+          exps.filter((e) => e.label === exp.label).length > 1
+        );
+    });
+
+    const fields = new Map();
+    labels.forEach((isRepeated, label) => {
+      const labeled = exps.filter((e) => e.label === label && isContent(e));
+      fields.set(label, isRepeated ? labeled : labeled[0] || null);
+    });
+    return fields;
+  }
+  // The values of the fields as an object, converted by the actions of
+  // their elements
+  static fieldValues(fields = new Map()) {
+    const values = {};
+    fields.forEach((exps, label) => {
+      const action = this.actions.get(label);
+      const value = (exp) => (action ? action(valueOf(exp)) : valueOf(exp));
+      if (Array.isArray(exps)) values[label] = exps.map(value);
+      else values[label] = exps && value(exps);
+    });
+    return values;
+  }
+
+  // A node of this class, or while evaluating only what its value needs:
+  // { AST, exps, text, value }
+  static create(_, exps = [], rest = {}) {
+    if (!_.evaluating) return new this({ ...rest, exps });
+
+    const node = {
+      AST: true,
+      exps,
+      get text() {
+        return exps.map((exp) => exp.text).join("");
+      },
+    };
+    node.value = this.ACTION
+      ? this.ACTION(this.fieldValues(this.fields(exps)), node)
+      : contentValueOf(node);
+    return node;
+  }
+
+  // The path of the innermost node at `offset`, see ASTPath, preferring the
+  // exp starting at `offset` to the one ending there. Null when `offset`
+  // is outside of the node.
+  nodeAt(offset = 0) {
+    const contains = (exp) => {
+      const [start, end] = spanOf(exp);
+      return start <= offset && offset <= end;
+    };
+    if (!contains(this)) return null;
+
+    let path = new ASTPath(this);
+    while (true) {
+      const { exps } = path.node;
+      const content = exps.filter(isContent);
+      const child =
+        content.find((exp) => contains(exp) && spanOf(exp)[1] > offset) ||
+        content.find(contains);
+      if (!child || !child.AST) return path;
+      path = new ASTPath(child, path, exps.indexOf(child));
+    }
+  }
+  // The paths of the nodes within this one matching `selector`, in order,
+  // see Selector
+  query(selector = "*") {
+    return new Selector(selector).query(this);
+  }
+
+  // A copy of this node with other exps, keeping the rest of its fields
+  rebuild(exps = this.exps) {
+    const { _exps, _tokens, _text, s, name, AST, ...rest } = this;
+    return new this.constructor({ ...rest, exps });
+  }
+
+  // Walks the tree depth first, calling the `enter` and `leave` visitors of
+  // every exp with an ASTPath. Visitors are either generic or keyed by class
+  // name ("Token" for tokens): { enter, leave, $ADD: { enter, leave } }
+  traverse(visitors = {}) {
+    new ASTPath(this).visit(visitors);
+  }
+  // Same as traverse, but applies the edits made through the paths and
+  // returns the new tree. Edited nodes and their ancestors are rebuilt.
+  transform(visitors = {}) {
+    const exps = new ASTPath(this).visit(visitors);
+    if (exps.length === 1) return exps[0];
+    return exps.length ? new $AST({ exps }) : null;
+  }
+
+  print(options = {}) {
+    return new Printer(options).print(this);
+  }
   toSimpleObj(lineStart = 0, lineEnd = Infinity, offset = 0) {
     return {
       exps: this.exps
@@ -96,7 +522,78 @@ export class $AST {
       lineStart: this.lineStart,
       lineEnd: this.lineEnd,
       s: this.s,
+      ...(this.label && { label: this.label }),
+    };
+  }
+
+  // Versioned plain data of the tree, for JSON or structured cloning, see
+  // deserialize
+  serialize() {
+    return { version: SERIALIZATION_VERSION, ast: serializeExp(this) };
+  }
+  // Rebuilds the tree of serialized data. Nodes are instances of the class of
+  // the same name: the built-in classes and the classes reachable from this
+  // one or from `classes`, an array or an object of classes.
+  static deserialize(data, classes = []) {
+    if (!data || data.version !== SERIALIZATION_VERSION)
+      throw new Error(
+        `Unsupported serialization version ${data && data.version}`
+      );
+    // Classes by name: the built-ins and the classes reachable from this
+    // class and from `classes`. Names of more than one of them are
+    // ambiguous, unless `classes` is an object of classes by name.
+    const registry = Array.isArray(classes) ? {} : classes;
+    const candidates = new Map();
+    [
+      ...[$AST, $AST_LEFT_RECURSIVE, $AST_PRECEDENCE, $INDENT_BLOCK, $EXP],
+      ...[$ERROR, $UNKNOWN, $UNKNOWN_BLOCK],
+      ...[this, ...Object.values(classes)]
+        .filter(($CLASS) => typeof $CLASS === "function" && $CLASS.AST)
+        .flatMap(($CLASS) => [...new GrammarAnalyzer($CLASS).reachableRules()]),
+    ].forEach(($CLASS) => {
+      if (!candidates.has($CLASS.name)) candidates.set($CLASS.name, new Set());
+      candidates.get($CLASS.name).add($CLASS);
+    });
+    const classOf = (name) => {
+      if (Object.hasOwn(registry, name)) return registry[name];
+      const found = candidates.get(name);
+      if (!found) throw new Error(`Unknown class ${name}`);
+      if (found.size > 1)
+        throw new Error(
+          `Ambiguous class ${name}, pass the classes by name to deserialize`
+        );
+      return [...found][0];
+    };
+
+    // Comments are tokens of the tree before the node they're attached to
+    const tokens = new Map();
+    const build = ({ class: name, exps, comments = [], error, ...rest }) => {
+      if (name === undefined) {
+        const { regex, ...props } = rest;
+        const token = new Token({
+          ...props,
+          ...(regex && { type: new RegExp(...regex) }),
+          ...(error && {
+            error: new ASTError(error.line, error.col, error.message),
+          }),
+        });
+        tokens.set(token.start, token);
+        return token;
+      }
+
+      const $CLASS = classOf(name);
+      return new $CLASS({
+        ...rest,
+        exps: exps.map(build),
+        comments: comments.map(
+          (comment) => tokens.get(comment.start) || build(comment)
+        ),
+        ...(error && {
+          error: new ASTError(error.line, error.col, error.message),
+        }),
+      });
     };
+    return build(data.ast);
   }
 
   getVisibleTokens(lineStart = 0, lineEnd = Infinity) {
@@ -130,7 +627,9 @@ export class $AST {
     for (let shapeIndex = 0; shapeIndex < this.SHAPE.length; shapeIndex++) {
       let shapeExp = this.SHAPE[shapeIndex];
 
-      let results = shapeExp.parse(_);
+      _.rests.push({ SHAPE: this.SHAPE, index: shapeIndex + 1 });
+      let results = shapeExp.parse(_, this.SYNC);
+      _.rests.pop();
 
       const isFirstAST = results && !shapeExp.TEXT_EXP && shapeIndex === 0;
       if (isFirstAST) {
@@ -142,12 +641,13 @@ export class $AST {
         exps.push(...results);
       } else if (
         this.allowIncompleteParse &&
-        exps.filter((e) => e.AST || e.value.trim().length).length >=
+        exps.filter((e) => e.AST || !e.isWhiteSpace).length >=
           this.incompleteParseThreshold
       ) {
         const token = new Token(_.eat(new RegExp()));
         token.isMissing = true;
         token.shapeExp = shapeExp;
+        token.label = shapeExp.label;
         exps.push(token);
       } else if (this.fallbackToFirstExp) {
         _.cursor = firstExpCursor;
@@ -158,29 +658,192 @@ export class $AST {
       }
     }
 
-    return new this({ exps });
+    return this.create(_, exps);
+  }
+
+  // Parses the whole input, throwing a ParseError at the furthest failure
+  // when the input can't be parsed or isn't entirely consumed. Trailing
+  // trivia is kept in the returned node.
+  static parseAll(_ = new Lexer()) {
+    const ast = this.parse(_);
+    const trivia = [];
+    while (_.taste(_.trivia)) trivia.push(_.eat(_.trivia));
+
+    if (ast && !_.hasMoreToLex)
+      return trivia.length ? ast.rebuild([...ast.exps, ...trivia]) : ast;
+    if (ast) _.expect("end of input");
+    throw _.error;
+  }
+
+  // Parses the whole input into the value of this class, like parseAll but
+  // without building tokens and nodes. Classes parsing in their own way are
+  // built, then evaluated.
+  static evaluate(_ = new Lexer()) {
+    const evaluating = _.evaluating;
+    _.evaluating = true;
+    try {
+      const result = this.memoParse(_);
+      while (_.taste(_.trivia)) _.eat(_.trivia);
+
+      if (result && !_.hasMoreToLex) return valueOf(result);
+      if (result) _.expect("end of input");
+      throw _.error;
+    } finally {
+      _.evaluating = evaluating;
+    }
+  }
+
+  // Parses a stream of chunks (strings or bytes), yielding each node as soon
+  // as it's complete, see StreamParser
+  static async *parseStream(chunks, options = {}) {
+    const parser = new StreamParser(this, options);
+    for await (const chunk of chunks) yield* parser.push(chunk);
+    yield* parser.end();
+  }
+
+  // Parses `source` after replacing `deleteCount` characters at `offset` with
+  // `text`, where `prev` is the tree parsed from `source`. Only the smallest
+  // node enclosing the edit that reparses to the same extent is parsed again,
+  // the rest of `prev` is reused and its tokens are shifted in place.
+  static reparse(
+    prev,
+    { offset = 0, deleteCount = 0, text = "" } = {},
+    source = prev.text,
+    options = {}
+  ) {
+    const _ = new Lexer(
+      source.slice(0, offset) + text + source.slice(offset + deleteCount),
+      options
+    );
+    const editEnd = offset + deleteCount;
+    const delta = text.length - deleteCount;
+
+    const encloses = (exp) =>
+      exp.AST && exp.tokens.length && exp.start < offset && editEnd < exp.end;
+    const chain = [prev];
+    while (chain.at(-1).exps.some(encloses))
+      chain.push(chain.at(-1).exps.find(encloses));
+
+    for (let i = chain.length - 1; i > 0; i--) {
+      const node = chain[i];
+      // Operators are nested by precedence, an operation can't be reparsed
+      // without the operations around it
+      if (!node.constructor.SHAPE || node.precedence !== undefined) continue;
+
+      _.cursor = node.start;
+      const $node = node.constructor.parse(_);
+      if (
+        !$node ||
+        $node.constructor !== node.constructor ||
+        _.cursor !== node.end + delta
+      )
+        continue;
+
+      const nodeTokens = new Set(node.tokens);
+      const editLineStart = _.lineStart(_.lineOf(offset));
+      prev.tokens.forEach((token) => {
+        if (nodeTokens.has(token)) return;
+        if (token.start >= editEnd) {
+          token.start += delta;
+          token.end += delta;
+        }
+        if (token.start < editLineStart) return;
+
+        const { line, ...columns } = _.positionOf(token.start);
+        Object.assign(token, columns);
+        token._line = line;
+        token.indent = _.lineIndent(line);
+        if (token.error) Object.assign(token.error, { line, col: token.col });
+      });
+      // Errors of nodes, like $ERROR, are where they were in `source`
+      const prevLexer = new Lexer(source);
+      const shiftErrors = (exp) => {
+        if (exp === node || !exp.AST) return;
+        if (exp.error) {
+          const { error } = exp;
+          let cursor = prevLexer.lineStart(error.line) + error.col;
+          if (cursor >= editEnd) cursor += delta;
+          if (cursor >= editLineStart) {
+            const { line, col } = _.positionOf(cursor);
+            Object.assign(error, { line, col });
+          }
+        }
+        exp.exps.forEach(shiftErrors);
+      };
+      shiftErrors(prev);
+
+      // The node takes the place of the one it replaces in its parent
+      if (node.label) $node.label = node.label;
+      $node.shapeExp = node.shapeExp;
+      $node.comments = node.comments;
+      let replacement = $node;
+      for (let j = i - 1; j >= 0; j--) {
+        const child = chain[j + 1];
+        replacement = chain[j].rebuild(
+          chain[j].exps.map((exp) => (exp === child ? replacement : exp))
+        );
+      }
+      return replacement;
+    }
+
+    return this.parse(_);
+  }
+
+  static memoParse(_ = new Lexer()) {
+    if (_.evaluating && !evaluatesValues(this)) {
+      _.evaluating = false;
+      const ast = this.memoParse(_);
+      _.evaluating = true;
+      return (
+        ast && { AST: true, exps: [], text: ast.text, value: valueOf(ast) }
+      );
+    }
+    if (!_.useCache && !this.useCache) return this.parse(_);
+
+    const startCursor = _.cursor;
+    const cached = _.cacheGet(startCursor, this);
+    if (cached) {
+      _.cursor = cached.cursorOnSave;
+      return cached.ast;
+    }
+
+    const ast = this.parse(_);
+    // Parses while looking ahead record no expectations, a cached one would
+    // hide them from the parses reusing it
+    if (!_.silent) _.cacheSet(ast, startCursor, this);
+    return ast;
   }
 
-  getType(env) {
+  // The type of the node in `env`, the type of its only content node by
+  // default
+  getType(env = new TypeEnv()) {
+    const content = this.contentExps;
+    if (content.length === 1 && content[0].AST) return content[0].getType(env);
     return new TypeUnknown();
   }
-  validate(env) {
+  // The ASTErrors of the node and of its content nodes, in order. Nodes
+  // declaring names define them in `env` here.
+  validate(env = new TypeEnv()) {
     const results = [];
-    this.tokens.forEach((t) => {
-      if (t.isMissing && t.shapeExp.e)
-        results.push(new ASTError(t.line, t.col, t.shapeExp.e));
+    this.exps.forEach((exp) => {
+      if (exp.AST) results.push(...exp.validate(env));
+      else if (exp.isMissing && exp.shapeExp.e)
+        results.push(new ASTError(exp.line, exp.col, exp.shapeExp.e));
+      else if (exp.error) results.push(exp.error);
     });
-
-    // this.contentExps
-    //   .filter((exp) => exp.AST && !(exp instanceof $INDENT_BLOCK))
-    //   .forEach((exp) => {
-    //     results.push(...exp.validate(env));
-    //   });
-
     return results;
   }
+  // An ASTError when the type of the node isn't accepted by `type`
+  expectType(env, type) {
+    const actual = this.getType(env);
+    if (type.accepts(actual)) return [];
+    return [
+      new ASTError(this.line, this.col, `expected ${type}, found ${actual}`),
+    ];
+  }
 
-  static test(control, fn = () => {}, testJS = true) {
+  // Samples of classes with an EMIT must compile to valid JavaScript
+  static test(control, fn = () => {}, testJS = this.EMIT !== null) {
     it(`${control}${this.name}`, () => {
       this.SAMPLES.forEach((sample) => {
         const ast = this.parse(new Lexer(sample));
@@ -189,31 +852,31 @@ export class $AST {
           sample
         );
 
-        // if (testJS && ast) {
-        //   const js = ast.toJS();
-        //   try {
-        //     new Function(js);
-        //     assert(true, `${sample}\n\n---- JS ----\n\n${js}`);
-        //   } catch {
-        //     assert(false, `${sample}\n---- JS ----\n\n${js}`);
-        //   }
-        // }
+        if (testJS && ast) {
+          const js = ast.toJS();
+          try {
+            new Function(js);
+            assert(true, `${sample}\n\n---- JS ----\n\n${js}`);
+          } catch {
+            assert(false, `${sample}\n---- JS ----\n\n${js}`);
+          }
+        }
         if (fn) fn(ast);
       });
     });
   }
 
-  static testInvalid(control, fn = () => {}) {
+  // Validates the SAMPLES_INVALID, parsed with `$ROOT`, expecting exactly
+  // their `errors`
+  static testInvalid(control, fn = () => {}, $ROOT = this) {
     useTests(`${control}${this.name} Invalid`, () => {
       this.SAMPLES_INVALID.forEach(({ source, errors: expectedASTErrors }) => {
-        const ast = $CODE_AST.parse(new Lexer(source));
+        const ast = $ROOT.parse(new Lexer(source));
 
         it(`${source}`, () => {
-          const env = new TypeEnv();
-          const actualErrors = [];
-          ast.contentExps
-            .filter((exp) => exp.AST)
-            .forEach((exp) => actualErrors.push(...exp.validate(env)));
+          assert(ast, `Unparsed: ${source}`);
+          if (!ast) return;
+          const actualErrors = ast.validate(new TypeEnv());
 
           const unmatchedActual = [...actualErrors];
           const matchedFlags = new Array(actualErrors.length).fill(false);
@@ -258,8 +921,460 @@ export class $AST {
     });
   }
 
-  toJS() {
-    return `${this.constructor.name}`;
+  // The JavaScript the node compiles to, see CodeBuilder
+  toJS(options = {}) {
+    return new CodeBuilder(options).emit(this).code;
+  }
+  // The JavaScript and its source map
+  compile(options = {}) {
+    const builder = new CodeBuilder({ content: this.text, ...options });
+    builder.emit(this);
+    return { code: builder.code, map: builder.sourceMap() };
+  }
+}
+
+export class ASTPath {
+  constructor(node, parentPath = null, index = null) {
+    this.node = node;
+    this.parentPath = parentPath;
+    this.index = index;
+    this.skipped = false;
+    this.replacements = null;
+    this.before = [];
+    this.after = [];
+  }
+
+  get parent() {
+    return this.parentPath ? this.parentPath.node : null;
+  }
+  get ancestors() {
+    return this.parentPath
+      ? [...this.parentPath.ancestors, this.parentPath.node]
+      : [];
+  }
+  get name() {
+    return this.node.AST ? this.node.name : "Token";
+  }
+
+  skip() {
+    this.skipped = true;
+  }
+  replace(...nodes) {
+    this.replacements = nodes;
+    if (nodes.length === 1) this.node = nodes[0];
+  }
+  remove() {
+    this.replacements = [];
+  }
+  insertBefore(...nodes) {
+    this.before.push(...nodes);
+  }
+  insertAfter(...nodes) {
+    this.after.push(...nodes);
+  }
+
+  call(visitors, hook) {
+    const visitor = visitors[this.name];
+    const handlers =
+      typeof visitor === "function"
+        ? [hook === "enter" && visitor]
+        : [visitor && visitor[hook]];
+    if (hook === "enter") handlers.unshift(visitors.enter);
+    else handlers.push(visitors.leave);
+
+    for (const handler of handlers) {
+      if (this.replacements) return;
+      if (handler) handler(this);
+    }
+  }
+
+  // Visits this path and its children, returning the exps that take its
+  // place in the parent. Replacements and inserted nodes aren't visited.
+  visit(visitors) {
+    this.call(visitors, "enter");
+    if (this.replacements)
+      return [...this.before, ...this.replacements, ...this.after];
+
+    if (!this.skipped && this.node.AST) {
+      let changed = false;
+      const exps = [];
+      this.node.exps.forEach((exp, index) => {
+        const results = new ASTPath(exp, this, index).visit(visitors);
+        if (results.length !== 1 || results[0] !== exp) changed = true;
+        exps.push(...results);
+      });
+      if (changed) this.node = this.node.rebuild(exps);
+    }
+
+    this.call(visitors, "leave");
+    return [
+      ...this.before,
+      ...(this.replacements || [this.node]),
+      ...this.after,
+    ];
+  }
+}
+
+// Prints trees back to source. Unmodified trees print exactly as parsed,
+// whitespace is only added between tokens that weren't next to each other in
+// the source, which happens when nodes were replaced, inserted or removed.
+export class Printer {
+  constructor({ spacing = Printer.spacing } = {}) {
+    // A string or a (prevToken, token) => string function
+    this.spacing = spacing;
+  }
+
+  // Separates words, so that inserting `b` after `a` doesn't print `ab`
+  static spacing(prevToken, token) {
+    return /[\w$]$/.test(prevToken.value) && /^[\w$]/.test(token.value)
+      ? " "
+      : "";
+  }
+
+  static isLexed(token) {
+    return token.end - token.start === token.value.length;
+  }
+  static areAdjacent(a, b) {
+    return Printer.isLexed(a) && Printer.isLexed(b) && a.end === b.start;
+  }
+
+  print(exp) {
+    const tokens = exp.AST ? exp.tokens : [exp];
+    let text = "";
+    let prevToken = null;
+
+    tokens.forEach((token) => {
+      if (!token.value) return;
+
+      if (prevToken && !Printer.areAdjacent(prevToken, token)) {
+        const isBlank = (t) => t.isWhiteSpace && !t.isComment;
+        // Both sides of a removed node
+        if (isBlank(prevToken) && isBlank(token)) return;
+
+        if (!prevToken.isWhiteSpace && !token.isWhiteSpace)
+          text +=
+            typeof this.spacing === "function"
+              ? this.spacing(prevToken, token)
+              : this.spacing;
+      }
+
+      text += token.value;
+      prevToken = token;
+    });
+
+    return text;
+  }
+}
+
+export class Doc {
+  constructor(type, contents = []) {
+    this.type = type;
+    this.contents = contents;
+    this.hasHardline =
+      type === "hardline" ||
+      contents.some(
+        (doc) => typeof doc !== "string" && Doc.from(doc).hasHardline
+      );
+  }
+
+  // Strings are text and arrays are concatenations
+  static from(doc) {
+    if (typeof doc === "string") return new Doc("text", [doc]);
+    if (Array.isArray(doc)) return new Doc("concat", doc);
+    return doc;
+  }
+
+  static concat(...docs) {
+    return new Doc("concat", docs);
+  }
+  // Printed on one line if it fits, otherwise all its lines break
+  static group(...docs) {
+    return new Doc("group", docs);
+  }
+  static indent(...docs) {
+    return new Doc("indent", docs);
+  }
+  static join(separator, docs) {
+    return new Doc(
+      "concat",
+      docs.flatMap((doc, i) => (i ? [separator, doc] : [doc]))
+    );
+  }
+
+  // A space, or a line break when its group doesn't fit
+  static line = new Doc("line");
+  // Nothing, or a line break when its group doesn't fit
+  static softline = new Doc("softline");
+  static hardline = new Doc("hardline");
+}
+
+// Renders trees to canonical source code, laid out by the LAYOUT of their
+// classes. Without a LAYOUT, the content exps of a node are separated by a
+// space or a line break, depending on the whitespace between them in the
+// source, comments are kept.
+export class Formatter {
+  constructor({ width = 80, indent = "  " } = {}) {
+    this.width = width;
+    this.indent = indent;
+  }
+
+  format(ast) {
+    const tokens = ast.tokens;
+    const contentTokens = tokens.filter((t) => !t.isWhiteSpace);
+    const first = tokens.indexOf(contentTokens[0]);
+    const last = tokens.lastIndexOf(contentTokens.at(-1));
+    // Nothing follows the trailing trivia to be separated from
+    const trailing = this.trivia(tokens.slice(last + 1));
+    if (trailing.at(-1) === " ") trailing.pop();
+
+    return this.render([
+      this.trivia(tokens.slice(0, first), true),
+      this.toDoc(ast),
+      trailing,
+    ]);
+  }
+
+  toDoc(exp) {
+    if (exp.TOKEN) return exp.value;
+    const { LAYOUT } = exp.constructor;
+    return LAYOUT ? LAYOUT(exp, this) : this.layout(exp);
+  }
+  docs(node) {
+    return node.contentExps.map((exp) => this.toDoc(exp));
+  }
+
+  // The default layout, content exps separated like they were in the source
+  layout(node) {
+    const tokens = node.tokens;
+    const indexes = new Map(tokens.map((t, i) => [t, i]));
+    const firstContent = (exp) =>
+      exp.TOKEN ? exp : exp.contentTokens[0] || exp.tokens[0];
+    const lastContent = (exp) =>
+      exp.TOKEN ? exp : exp.contentTokens.at(-1) || exp.tokens.at(-1);
+
+    const docs = [];
+    node.contentExps.forEach((exp, i, exps) => {
+      if (i) {
+        const between = tokens.slice(
+          indexes.get(lastContent(exps[i - 1])) + 1,
+          indexes.get(firstContent(exp))
+        );
+        // Indented blocks break their own first line
+        const breaks = !(exp instanceof $INDENT_BLOCK && !exp.isInline);
+        docs.push(this.trivia(between, false, breaks));
+      }
+      docs.push(this.toDoc(exp));
+    });
+    return Doc.group(...docs);
+  }
+
+  // Whitespace and comments between content, a blank line at most is kept
+  trivia(tokens, leading = false, breaks = true) {
+    const docs = [];
+    let newlines = 0;
+    tokens.forEach((token) => {
+      if (token.isComment) {
+        if (docs.length || !leading) docs.push(newlines ? Doc.hardline : " ");
+        if (newlines > 1) docs.push(Doc.hardline);
+        docs.push(token.value);
+        newlines = 0;
+      } else newlines += (token.value.match(/\r\n|\r|\n/g) || []).length;
+    });
+
+    if (leading) return docs.length ? [...docs, Doc.hardline] : "";
+    if (newlines && breaks) docs.push(Doc.hardline);
+    if (newlines > 1 && breaks) docs.push(Doc.hardline);
+    // A comment on the line is kept apart from what follows it
+    else if (!newlines && tokens.length) docs.push(" ");
+    return docs;
+  }
+
+  render(doc) {
+    let text = "";
+    let width = 0;
+    const commands = [[0, "break", doc]];
+
+    while (commands.length) {
+      const [indent, mode, command] = commands.pop();
+      const { type, contents } = Doc.from(command);
+
+      if (type === "text") {
+        text += contents[0];
+        const lines = contents[0].split("\n");
+        width =
+          lines.length > 1 ? lines.at(-1).length : width + lines[0].length;
+      } else if (type === "concat")
+        for (let i = contents.length - 1; i >= 0; i--)
+          commands.push([indent, mode, contents[i]]);
+      else if (type === "indent")
+        commands.push([indent + 1, mode, new Doc("concat", contents)]);
+      else if (type === "group") {
+        const flat =
+          !command.hasHardline &&
+          this.fits([indent, "flat", contents], commands, this.width - width);
+        commands.push([indent, flat ? "flat" : "break", contents]);
+      } else if (mode === "flat" && type !== "hardline") {
+        if (type === "line") text += " ";
+        if (type === "line") width++;
+      } else {
+        const indentation = this.indent.repeat(indent);
+        text = `${text.replace(/[ \t]+$/, "")}\n${indentation}`;
+        width = indentation.length;
+      }
+    }
+    return text;
+  }
+
+  // Whether the next command fits in width, up to the next possible line break
+  fits(next, rest, width) {
+    const commands = [next];
+    let restIndex = rest.length;
+
+    while (width >= 0) {
+      if (!commands.length) {
+        if (!restIndex) return true;
+        commands.push(rest[--restIndex]);
+        continue;
+      }
+
+      const [indent, mode, command] = commands.pop();
+      const { type, contents } = Doc.from(command);
+      if (type === "text") {
+        const lines = contents[0].split("\n");
+        if (lines.length > 1) return width - lines[0].length >= 0;
+        width -= lines[0].length;
+      } else if (["concat", "indent", "group"].includes(type))
+        for (let i = contents.length - 1; i >= 0; i--)
+          commands.push([indent, mode, contents[i]]);
+      else if (mode === "break" || type === "hardline") return true;
+      else if (type === "line") width--;
+    }
+    return false;
+  }
+}
+
+const BASE64 =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+// The base64 VLQ of a source map segment field
+const vlq = (n) => {
+  let rest = n < 0 ? (-n << 1) | 1 : n << 1;
+  let digits = "";
+  do {
+    const digit = rest & 31;
+    rest >>>= 5;
+    digits += BASE64[rest ? digit | 32 : digit];
+  } while (rest);
+  return digits;
+};
+
+// Generates code from trees, by the EMIT of their classes. Without an EMIT, a
+// node emits its exps in order, comments left out. Every token is mapped to its
+// line and col in the source, see sourceMap.
+export class CodeBuilder {
+  constructor({
+    indent = "  ",
+    file = null,
+    source = "input",
+    content = null,
+  } = {}) {
+    this.indent = indent;
+    // Names of the generated and source files, and the source, in the map.
+    // Maps always name their source, "input" unless given.
+    this.file = file;
+    this.source = source;
+    this.content = content;
+    this.code = "";
+    this.line = 0;
+    this.col = 0;
+    this.level = 0;
+    this.origin = null;
+    // [line, col, sourceLine, sourceCol], in generated order
+    this.mappings = [];
+  }
+
+  // Parts emitted one level deeper, lines they break are indented
+  static indent(...parts) {
+    return { indent: parts };
+  }
+
+  // Emits strings, exps, arrays of parts and indented parts
+  emit(part) {
+    if (part === null || part === undefined) return this;
+    if (typeof part === "string") return this.write(part);
+    if (Array.isArray(part)) part.forEach((p) => this.emit(p));
+    else if (part.indent) {
+      this.level++;
+      this.emit(part.indent);
+      this.level--;
+    } else if (part.TOKEN) this.write(part.value, part);
+    else if (part.AST) {
+      const { EMIT } = part.constructor;
+      // Mapped where its code starts, once indented
+      this.origin = part.contentTokens[0];
+      if (!EMIT) this.emit(part.exps.filter((exp) => !exp.isComment));
+      // EMITs either return their parts or emit them themselves
+      else this.emit(EMIT(part, this));
+    }
+    return this;
+  }
+
+  // Appends text, indenting the lines it starts, mapped to `origin`
+  write(text, origin = null) {
+    text.split("\n").forEach((line, i) => {
+      if (i) {
+        this.code += "\n";
+        this.line++;
+        this.col = 0;
+      }
+      if (!line) return;
+      if (!this.col) {
+        const indentation = this.indent.repeat(this.level);
+        this.code += indentation;
+        this.col += indentation.length;
+      }
+      if (!i) this.map(this.origin || origin);
+      this.origin = null;
+      this.code += line;
+      this.col += line.length;
+    });
+    return this;
+  }
+
+  // Maps the current position to the start of a token
+  map(token) {
+    if (!token || token.isMissing || token.isWhiteSpace) return;
+    const last = this.mappings.at(-1);
+    if (last && last[0] === this.line && last[1] === this.col) return;
+    this.mappings.push([this.line, this.col, token.line, token.col]);
+  }
+
+  // The source map of the code, in the version 3 format
+  sourceMap() {
+    const lines = Array.from({ length: this.line + 1 }, () => []);
+    let [sourceLine, sourceCol] = [0, 0];
+    this.mappings.forEach(([line, col, toLine, toCol], i) => {
+      const prev = this.mappings[i - 1];
+      const prevCol = prev && prev[0] === line ? prev[1] : 0;
+      lines[line].push(
+        vlq(col - prevCol) +
+          vlq(0) +
+          vlq(toLine - sourceLine) +
+          vlq(toCol - sourceCol)
+      );
+      [sourceLine, sourceCol] = [toLine, toCol];
+    });
+    return {
+      version: 3,
+      ...(this.file !== null && { file: this.file }),
+      sources: [this.source],
+      ...(this.content !== null && { sourcesContent: [this.content] }),
+      names: [],
+      mappings: lines.map((segments) => segments.join(",")).join(";"),
+    };
+  }
+
+  toString() {
+    return this.code;
   }
 }
 
@@ -271,6 +1386,8 @@ export class Token {
     end = 0,
     line = 0,
     col = undefined,
+    codePointCol = undefined,
+    graphemeCol = undefined,
     indent = 0,
     ...rest
   } = {}) {
@@ -279,7 +1396,11 @@ export class Token {
     this.start = start;
     this.indent = indent;
     this._line = line;
+    // Columns in UTF-16 code units, code points and graphemes, see
+    // Lexer.positionOf
     this.col = col ?? start;
+    this.codePointCol = codePointCol ?? this.col;
+    this.graphemeCol = graphemeCol ?? this.codePointCol;
     this.end = end;
 
     Object.assign(this, rest);
@@ -299,7 +1420,10 @@ export class Token {
     return this.line;
   }
   get isWhiteSpace() {
-    return !this.text.trim().length;
+    return this.isTrivia || !this.text.trim().length;
+  }
+  get isComment() {
+    return this.isTrivia && !!this.text.trim().length;
   }
   toSimpleObj() {
     return {
@@ -307,6 +1431,7 @@ export class Token {
       line: this.line,
       col: this.col,
       s: this.s,
+      ...(this.label && { label: this.label }),
     };
   }
 
@@ -316,43 +1441,102 @@ export class Token {
 }
 
 export class Lexer {
-  constructor(str = "") {
+  constructor(
+    str = "",
+    { useCache = false, trivia = WHITESPACE_REGEX, indentation = {} } = {}
+  ) {
     this.str = str;
+    // How lines are indented: a tab goes to the next multiple of `tabWidth`
+    // columns, `chars` are the characters allowed, "tabs", "spaces" or "any",
+    // and `allowMixed` whether a line can mix both. See $INDENT_BLOCK.
+    this.indentation = {
+      tabWidth: 1,
+      chars: "any",
+      allowMixed: true,
+      ...indentation,
+    };
+    this.trivia = Lexer.triviaRegex(trivia);
     this.cursor = 0;
     this.tasteCursor = 0;
     this.tokenCache = {};
-    this.cache = {};
+    this.cache = new Map();
     this.cursorStack = [];
-    this.useCache = false;
-
-    this.lines = this.str.split("\n");
+    this.useCache = useCache;
+    this.failCursor = 0;
+    this.expected = new Set();
+    // Expectations aren't recorded while looking ahead
+    this.silent = 0;
+    // The SHAPEs being parsed, innermost last, with the index of the exp
+    // following the one parsing, see ShapeExp.continues
+    this.rests = [];
+    // End of the input looked at so far, parses ending before it don't depend
+    // on what follows it
+    this.lookCursor = 0;
+    // Eaten tokens are only { value, text, isTrivia, isWhiteSpace } while
+    // evaluating, see $AST.evaluate
+    this.evaluating = false;
+
+    // Lines end at "\r\n", "\r" or "\n"
+    this.lines = this.str.split(/\r\n|\r|\n/);
 
     this.lineOffsets = (() => {
       let offsets = []; // The first line starts at index 0
 
       let cursor = 0;
       for (const line of this.lines) {
-        offsets.push([cursor, cursor + line.length]);
-        cursor += line.length + 1;
+        const end = cursor + line.length;
+        const lineBreak = this.str.startsWith("\r\n", end) ? 2 : 1;
+        // [start, end, start of the next line]
+        offsets.push([cursor, end, Math.min(end + lineBreak, str.length)]);
+        cursor = end + lineBreak;
       }
       return offsets;
     })();
-    this.lineIndents = this.lines.map((l) => l.length - l.trimStart().length);
+    // The spaces and tabs starting lines, and their width in columns
+    this.lineIndentChars = this.lines.map((l) => /^[ \t]*/.exec(l)[0]);
+    this.lineIndents = this.lineIndentChars.map((chars) => {
+      const { tabWidth } = this.indentation;
+      let width = 0;
+      for (const char of chars)
+        width += char === "\t" ? tabWidth - (width % tabWidth) : 1;
+      return width;
+    });
+    // The columns of the last position of a line, see positionOf
+    this.lastPosition = null;
+  }
+
+  // Builds the regex matching trivia (whitespace and comments) from either a
+  // regex or { whitespace, comments }, where each comment is a line comment
+  // prefix like "//", an [open, close] block comment pair or a regex.
+  static triviaRegex(trivia = WHITESPACE_REGEX) {
+    if (trivia instanceof RegExp) return ShapeExp.formatRegex(trivia);
+
+    const { whitespace = WHITESPACE_REGEX, comments = [] } = trivia;
+    const regexes = [whitespace, ...comments].filter(
+      (c) => c instanceof RegExp
+    );
+    const patterns = [
+      whitespace.source,
+      ...comments.map((comment) => {
+        if (comment instanceof RegExp) return comment.source;
+        if (Array.isArray(comment)) {
+          const [open, close] = comment.map(escapeRegex);
+          return `${open}[\\s\\S]*?${close}`;
+        }
+        return `${escapeRegex(comment)}[^\\r\\n]*`;
+      }),
+    ];
+    return new RegExp(
+      `(?:${patterns.join("|")})`,
+      `y${unicodeFlag(...regexes)}`
+    );
   }
 
   get hasMoreToLex() {
     return this.cursor < this.str.length;
   }
   get currentLine() {
-    // let _cursor = 0;
-    // for (let line = 0; line < this.lines.length; line++)
-    //   if ((_cursor += this.lines[line].length + 1) > this.cursor) return line;
-    // return -1;
-    return this.lineOffsets.binarySearch(([start, end]) => {
-      if (this.cursor < start) return -1;
-      else if (this.cursor > end) return 1;
-      else return 0;
-    });
+    return this.lineOf(this.cursor);
   }
   get currentLineStart() {
     return this.lineStart(this.currentLine);
@@ -367,13 +1551,8 @@ export class Lexer {
     return this.lineContentEnd(this.currentLine);
   }
   get currentCol() {
-    let _cursor = 0;
-    for (let line = 0; line < this.lines.length; line++)
-      if (_cursor + this.lines[line].length + 1 > this.cursor)
-        return this.cursor - _cursor;
-      else _cursor += this.lines[line].length + 1;
-
-    return -1;
+    const line = this.currentLine;
+    return line === -1 ? -1 : this.cursor - this.lineStart(line);
   }
   get currentIndent() {
     return this.lineIndent(this.currentLine);
@@ -392,6 +1571,40 @@ export class Lexer {
     if (this.cursorStack.length) this.cursor = this.cursorStack.pop();
   }
 
+  lineOf(cursor) {
+    // Cursors between "\r" and "\n" are on the line they end
+    return this.lineOffsets.binarySearch(([start, end, next]) => {
+      if (cursor < start) return -1;
+      else if (cursor > end && cursor >= next) return 1;
+      else return 0;
+    });
+  }
+  // The line of `cursor` and its column: `col` in UTF-16 code units, like
+  // string indexes, `codePointCol` in code points and `graphemeCol` in
+  // graphemes. Columns are counted from the last position of the line asked
+  // for, so that lexing a line is linear.
+  positionOf(cursor) {
+    const line = this.lineOf(cursor);
+    const start = this.lineStart(line);
+    const last = this.lastPosition;
+    const from =
+      last && last.line === line && last.cursor <= cursor
+        ? last
+        : { cursor: start, codePointCol: 0, graphemeCol: 0 };
+
+    const text = this.str.slice(from.cursor, cursor);
+    const isAscii = !/[^\x00-\x7f]/.test(text);
+    const position = {
+      line,
+      col: cursor - start,
+      codePointCol:
+        from.codePointCol + (isAscii ? text.length : codePointLength(text)),
+      graphemeCol:
+        from.graphemeCol + (isAscii ? text.length : graphemeLength(text)),
+    };
+    this.lastPosition = { ...position, cursor };
+    return position;
+  }
   lineIndent(line) {
     return this.lineIndents[line];
   }
@@ -404,7 +1617,31 @@ export class Lexer {
     return this.lineOffsets[line][1];
   }
   lineContentStart(line) {
-    return this.lineStart(line) + this.lineIndent(line);
+    return this.lineStart(line) + this.lineIndentChars[line].length;
+  }
+  // Why the indentation of a line isn't allowed, null when it is
+  indentationError(line) {
+    const chars = this.lineIndentChars[line];
+    const { chars: allowed, allowMixed } = this.indentation;
+    if (allowed === "spaces" && chars.includes("\t"))
+      return "expected spaces in indentation, found a tab";
+    if (allowed === "tabs" && chars.includes(" "))
+      return "expected tabs in indentation, found a space";
+    if (!allowMixed && chars.includes("\t") && chars.includes(" "))
+      return "mixed tabs and spaces in indentation";
+    return null;
+  }
+  // Whether a line is only whitespace and comments
+  isTriviaLine(line) {
+    const end = this.lineEnd(line);
+    let cursor = this.lineStart(line);
+    while (cursor < end) {
+      this.trivia.lastIndex = cursor;
+      const match = this.trivia.exec(this.str);
+      if (!match || !match[0].length) return false;
+      cursor += match[0].length;
+    }
+    return true;
   }
   lineContentEnd(line) {
     return this.lineStart(line) + this.lines[line].trimEnd().length;
@@ -423,35 +1660,77 @@ export class Lexer {
     return typeof x === "string" || x instanceof RegExp;
   }
 
+  // Entries are keyed by cursor, then by name. The name can be a string or
+  // an $AST class, classes are compared by identity so that two classes
+  // sharing a name never share results.
   cacheGet(cursor = 0, name = "") {
-    return this.cache[`${cursor}-${name}`];
+    const entries = this.cache.get(cursor);
+    return entries ? entries.get(name) : undefined;
   }
   cacheSet(item, cursor = 0, name = "") {
-    return (this.cache[`${cursor}-${name}`] = {
-      ast: item,
-      cursorOnSave: this.cursor,
+    if (!this.cache.has(cursor)) this.cache.set(cursor, new Map());
+
+    const entry = { ast: item, cursorOnSave: this.cursor };
+    this.cache.get(cursor).set(name, entry);
+    return entry;
+  }
+  cacheClear(name) {
+    if (name === undefined) return this.cache.clear();
+    this.cache.forEach((entries) => entries.delete(name));
+  }
+
+  // Records what the parser expected at the current cursor, only the
+  // expectations at the furthest cursor reached are kept.
+  expect(description) {
+    if (this.silent) return;
+    if (this.cursor > this.failCursor) {
+      this.failCursor = this.cursor;
+      this.expected = new Set();
+    }
+    if (this.cursor === this.failCursor) this.expected.add(description);
+  }
+  get error() {
+    const cursor = this.failCursor;
+    const { line, col, codePointCol, graphemeCol } = this.positionOf(cursor);
+    const found = this.str.slice(cursor).match(FOUND_REGEX);
+    // A space for every grapheme, so the caret is under the character
+    const caretPadding = [
+      ...(graphemeSegmenter
+        ? [...graphemeSegmenter.segment(this.lines[line].slice(0, col))].map(
+            ({ segment }) => segment
+          )
+        : this.lines[line].slice(0, col)),
+    ]
+      .map((char) => (char === "\t" ? "\t" : " "))
+      .join("");
+
+    return new ParseError({
+      line,
+      col,
+      codePointCol,
+      graphemeCol,
+      cursor,
+      expected: [...this.expected],
+      found: found ? JSON.stringify(found[0]) : "end of input",
+      excerpt: `${this.lines[line]}\n${caretPadding}^`,
     });
   }
 
+  look(cursor) {
+    if (cursor > this.lookCursor) this.lookCursor = cursor;
+  }
+
   taste(regex) {
     // const start = performance.now();
     if (!regex) return null;
     this.tasteCursor = this.cursor;
 
-    const eatLeadingWhitespace = () => {
-      while (
-        this.str[this.tasteCursor] === " " ||
-        this.str[this.tasteCursor] === "\n"
-      ) {
-        this.tasteCursor++;
-      }
-    };
-
     let match;
     if (typeof regex === "string") {
       let failedMatch = false;
       for (let i = 0; i < regex.length && !failedMatch; i++)
         failedMatch = regex[i] !== this.str[this.tasteCursor + i];
+      this.look(this.tasteCursor + regex.length);
       // tasteTime += performance.now() - start;
       if (!failedMatch) {
         this.tasteCursor += regex.length;
@@ -464,6 +1743,8 @@ export class Lexer {
       match = regex.exec(this.str);
 
       if (match) this.tasteCursor += match[0].length;
+      // Whether a regex stopped is known from the character after it
+      this.look(this.tasteCursor + 1);
       // tasteTime += performance.now() - start;
       return match && { value: match[0] };
     }
@@ -477,12 +1758,22 @@ export class Lexer {
     if (result) {
       const { value } = result;
 
-      this.cursor = this.tasteCursor - value.length;
+      if (this.evaluating) {
+        const isTrivia = regex === this.trivia;
+        this.cursor = this.tasteCursor;
+        return {
+          value,
+          text: value,
+          isTrivia,
+          isWhiteSpace: isTrivia || !value.trim().length,
+        };
+      }
 
-      let col = this.cursor - this.str.lastIndexOf("\n", this.cursor - 1) - 1;
-      if (col < 0) col = 0;
+      this.cursor = this.tasteCursor - value.length;
 
-      const line = this.currentLine;
+      const { line, col, codePointCol, graphemeCol } = this.positionOf(
+        this.cursor
+      );
 
       const token = new Token({
         type: regex,
@@ -491,9 +1782,12 @@ export class Lexer {
         indent: this.lineIndents[line],
         line,
         end: this.cursor + value.length,
-        col, //: this.currentCol,
+        col,
+        codePointCol,
+        graphemeCol,
         paddingRight: "",
         paddingLeft: "",
+        isTrivia: regex === this.trivia,
       });
 
       this.cursor += value.length;
@@ -503,6 +1797,102 @@ export class Lexer {
   }
 }
 
+// Parses input fed in chunks into a sequence of nodes of one class, returning
+// each node once the input after it can't change it. Only complete lines are
+// lexed, and only the lines of the nodes being parsed are kept.
+export class StreamParser {
+  constructor($NODE, options = {}) {
+    this.$NODE = $NODE;
+    this.options = options;
+    this.decoder = new TextDecoder();
+    this.buffer = "";
+    this.pending = "";
+    this.cursor = 0;
+    // Position of the buffer in the whole input
+    this.offset = 0;
+    this.line = 0;
+  }
+
+  push(chunk = "") {
+    if (typeof chunk !== "string")
+      chunk = this.decoder.decode(chunk, { stream: true });
+    this.pending += chunk;
+
+    const lineEnd = this.pending.search(/[\r\n][^\r\n]*$/);
+    if (lineEnd === -1) return [];
+    // A "\r" might be the start of "\r\n"
+    const cut = this.pending[lineEnd] === "\r" ? lineEnd : lineEnd + 1;
+    if (!cut) return [];
+
+    this.buffer += this.pending.slice(0, cut);
+    this.pending = this.pending.slice(cut);
+    return this.parse(false);
+  }
+  end() {
+    this.buffer += this.pending + this.decoder.decode();
+    this.pending = "";
+    return this.parse(true);
+  }
+
+  parse(isEnd) {
+    const _ = new Lexer(this.buffer, this.options);
+    const isComplete = () => isEnd || _.lookCursor <= _.str.length;
+    const nodes = [];
+    _.cursor = this.cursor;
+
+    while (true) {
+      const startCursor = _.cursor;
+      const trivia = [];
+      while (_.taste(_.trivia)) trivia.push(_.eat(_.trivia));
+      if (!_.hasMoreToLex && isEnd) break;
+
+      const node = this.$NODE.parse(_);
+      if (!isComplete()) {
+        _.cursor = startCursor;
+        break;
+      }
+      // Nodes falling back to their first exp are errors too
+      if (!(node instanceof this.$NODE) || _.cursor === startCursor) {
+        // The nodes before the error are returned first
+        if (nodes.length) {
+          _.cursor = startCursor;
+          break;
+        }
+        const { line, col, cursor, expected, found, excerpt } = _.error;
+        throw new ParseError({
+          line: line + this.line,
+          col,
+          cursor: cursor + this.offset,
+          expected,
+          found,
+          excerpt,
+        });
+      }
+      nodes.push(
+        trivia.length ? node.rebuild([...trivia, ...node.exps]) : node
+      );
+    }
+
+    // Drops the lines before the next node
+    const line = _.lineOf(_.cursor);
+    const lineStart = _.lineStart(line);
+    nodes.forEach((node) => {
+      node.tokens.forEach((token) => {
+        token.start += this.offset;
+        token.end += this.offset;
+        token._line += this.line;
+      });
+      node.errors.forEach((error) => (error.line += this.line));
+    });
+    this.buffer = this.buffer.slice(lineStart);
+    this.cursor = _.cursor - lineStart;
+    this.offset += lineStart;
+    this.line += line;
+
+    return nodes;
+  }
+}
+
 export class ShapeExp {
   constructor({ value, rightDelimeter, min = 1, max = 1, domProps = {} } = {}) {
     this.value = value;
@@ -519,6 +1909,7 @@ export class ShapeExp {
     this.SUB_SHAPE_EXP = this.value instanceof Shape;
     this.OPTION_EXP = Array.isArray(this.value) && !this.SUB_SHAPE_EXP;
     this.LAZY_EXP = typeof this.value === "function" && !this.AST_EXP;
+    this.PREDICATE_EXP = this.value instanceof Lookahead;
 
     if (this.value instanceof RegExp)
       this.value = ShapeExp.formatRegex(this.value);
@@ -534,6 +1925,17 @@ export class ShapeExp {
 
       this.name = this.value.map((o) => o.name || `${o}`).join("-");
     } else if (this.SUB_SHAPE_EXP) this.name = Date.now();
+    else if (this.PREDICATE_EXP) this.name = `${this.value}`;
+  }
+
+  static describe(value) {
+    if (typeof value === "string") return JSON.stringify(value);
+    if (value instanceof RegExp)
+      return (
+        value.description ||
+        `/${value.source}/${value.flags.replace(/[gy]/g, "")}`
+      );
+    return `${value}`;
   }
 
   static formatRegex(regex) {
@@ -541,10 +1943,44 @@ export class ShapeExp {
     if (source[0] === "^") source = source.slice(1);
     let flags = regex.flags;
     if (!flags.includes("y")) flags += "y";
-    return new RegExp(source, flags);
+    const formatted = new RegExp(source, flags);
+    if (regex.description) formatted.description = regex.description;
+    return formatted;
   }
 
-  parse(_ = new Lexer()) {
+  // Whether the SHAPEs being parsed go on at the cursor, without consuming
+  // anything. The rest of a SHAPE that matches nothing, like an empty one,
+  // leaves it to the SHAPE it's part of, and the outermost SHAPE doesn't.
+  static continues(_) {
+    const { rests } = _;
+    const cursor = _.cursor;
+    let continues = false;
+    _.silent++;
+    for (let i = rests.length - 1; i >= 0; i--) {
+      const { SHAPE, index } = rests[i];
+      if (index >= SHAPE.length) continue;
+      const $REST = class extends $AST {
+        static fallbackToFirstExp = false;
+      };
+      $REST.SHAPE = new Shape();
+      $REST.SHAPE.push(...SHAPE.slice(index));
+
+      // The rest is parsed within the SHAPEs around it
+      _.rests = rests.slice(0, i);
+      const parsed = !!$REST.parse(_);
+      _.rests = rests;
+      continues = parsed && _.cursor > cursor;
+      _.cursor = cursor;
+      if (!parsed || continues) break;
+    }
+    _.silent--;
+    return continues;
+  }
+
+  // `sync` are the SYNC tokens of the class this exp is part of
+  parse(_ = new Lexer(), sync = null) {
+    if (this.PREDICATE_EXP) return this.value.test(_) ? [] : null;
+
     const results = [];
     const startCursor = _.cursor;
     for (
@@ -552,7 +1988,9 @@ export class ShapeExp {
       expIndex < this.max && (!_.taste(this.rightDelimeter) || expIndex === 0);
       expIndex++
     ) {
-      while (_.taste(WHITESPACE_REGEX)) results.push(_.eat(WHITESPACE_REGEX));
+      const trivia = [];
+      while (_.taste(_.trivia)) trivia.push(_.eat(_.trivia));
+      results.push(...trivia);
       let result = null;
       if (this.LAZY_EXP) {
         Object.assign(
@@ -564,45 +2002,71 @@ export class ShapeExp {
         );
       }
 
-      if (this.TEXT_EXP) result = _.eat(this.value);
-      else if (this.AST_EXP) {
+      if (this.TEXT_EXP) {
+        result = _.eat(this.value);
+        if (!result) _.expect(ShapeExp.describe(this.value));
+      } else if (this.AST_EXP) {
         const firstShapeExp = this.value.SHAPE[0];
         if (
           firstShapeExp &&
           typeof firstShapeExp === "object" &&
           firstShapeExp.TEXT_EXP &&
+          firstShapeExp.min > 0 &&
           !_.taste(firstShapeExp.value)
-        )
+        ) {
           result = null;
-        else result = this.value.parse(_);
+          _.expect(ShapeExp.describe(firstShapeExp.value));
+        } else result = this.value.memoParse(_);
       } else if (this.OPTION_EXP) {
         for (let i = 0; i < this.value.length && !result; i++) {
           if (_.isLexable(this.value[i])) result = _.eat(this.value);
           else result = this.value[i].parse(_);
         }
       } else if (this.SUB_SHAPE_EXP) {
-        const firstShapeExp = this[0];
+        const firstShapeExp = this.value[0];
         if (
           firstShapeExp &&
           typeof firstShapeExp === "object" &&
           firstShapeExp.TEXT_EXP &&
+          firstShapeExp.min > 0 &&
           !_.taste(firstShapeExp.value)
-        )
+        ) {
           result = null;
-        else {
-          const $SUB_SHAPE_AST = class extends $AST {};
+          _.expect(ShapeExp.describe(firstShapeExp.value));
+        } else {
+          const $SUB_SHAPE_AST = class extends $AST {
+            static fallbackToFirstExp = false;
+          };
           $SUB_SHAPE_AST.SHAPE = this.value;
           const ast = $SUB_SHAPE_AST.parse(_);
           if (ast) result = ast.exps;
         }
       }
 
-      if (result) {
+      // Repetitions skip what they can't parse, up to their right delimeter,
+      // unless what follows them parses from there
+      if (!result && sync && this.max > 1 && !ShapeExp.continues(_))
+        result = $ERROR.recover(_, sync, () => _.taste(this.rightDelimeter));
+
+      if (result && !_.evaluating) {
         result.shapeExp = {};
         Object.assign(result.shapeExp, this);
         Object.setPrototypeOf(result.shapeExp, Object.getPrototypeOf(this));
-        if (Array.isArray(result)) results.push(...result);
-        else results.push(result);
+        // Comments are attached to the node that follows them, the first
+        // content exp of what options and nested Shapes parse
+        const [next] = Array.isArray(result)
+          ? result.filter(isContent)
+          : [result];
+        if (next && next.AST) next.comments = trivia.filter((t) => t.isComment);
+      }
+      if (result) {
+        if (Array.isArray(result)) {
+          if (this.label) labelExps(result, this.label, false);
+          results.push(...result);
+        } else {
+          if (this.label || result.label) result.label = this.label;
+          results.push(result);
+        }
       } else if (expIndex >= this.min) break;
       else {
         _.cursor = startCursor;
@@ -614,7 +2078,127 @@ export class ShapeExp {
   }
 }
 
+// Matches when the input is followed, or isn't followed when `negate`, by
+// a string, regex, $AST class, Shape or option, without consuming it
+export class Lookahead {
+  constructor(value, negate = false) {
+    this.shapeExp = new ShapeExp({ value });
+    this.negate = negate;
+  }
+
+  test(_ = new Lexer()) {
+    const cursor = _.cursor;
+    // Failures while looking ahead aren't parse errors
+    _.silent++;
+    const matches = !!this.shapeExp.parse(_);
+    _.silent--;
+    _.cursor = cursor;
+
+    if (matches === this.negate) _.expect(`${this}`);
+    return matches !== this.negate;
+  }
+
+  toString() {
+    const { value, TEXT_EXP, AST_EXP } = this.shapeExp;
+    let description = "(…)";
+    if (TEXT_EXP) description = ShapeExp.describe(value);
+    else if (AST_EXP) description = value.name;
+    return `${this.negate ? "!" : "&"}${description}`;
+  }
+}
+
+// A reserved word set. Keywords match whole words only, so "if" doesn't
+// match the start of `ifdef`, and identifiers reject them. Both are regexes,
+// described in parse errors as what they were made from.
+export class Keywords {
+  constructor(words = [], { ignoreCase = false, wordChar = /\w/ } = {}) {
+    this.ignoreCase = ignoreCase;
+    // What can't follow a keyword
+    this.wordChar = wordChar;
+    this.words = new Set(words.map((word) => this.normalize(word)));
+  }
+
+  normalize(word) {
+    return this.ignoreCase ? word.toLowerCase() : word;
+  }
+
+  has(word) {
+    return this.words.has(this.normalize(word));
+  }
+
+  // `[sS][eE][lL]…` rather than the `i` flag, so it can be mixed into
+  // case sensitive identifier regexes
+  pattern(word) {
+    return [...word]
+      .map((char) => {
+        const lower = char.toLowerCase();
+        const upper = char.toUpperCase();
+        if (!this.ignoreCase || lower === upper || upper.length > 1)
+          return escapeRegex(char);
+        return `[${lower}${upper}]`;
+      })
+      .join("");
+  }
+
+  get boundary() {
+    return `(?!${this.wordChar.source})`;
+  }
+
+  keyword(word) {
+    if (!this.has(word)) throw new Error(`"${word}" isn't a keyword`);
+    const regex = new RegExp(
+      `${this.pattern(word)}${this.boundary}`,
+      `y${unicodeFlag(this.wordChar)}`
+    );
+    regex.description = JSON.stringify(word);
+    return regex;
+  }
+
+  // Any keyword, described as "keyword"
+  any() {
+    const words = [...this.words].map((word) => this.pattern(word));
+    const regex = new RegExp(
+      `(?:${words.join("|")})${this.boundary}`,
+      `y${unicodeFlag(this.wordChar)}`
+    );
+    regex.description = "keyword";
+    return regex;
+  }
+
+  identifier(regex) {
+    const formatted = ShapeExp.formatRegex(regex);
+    const { source, flags } = formatted;
+    if (!this.words.size) return new RegExp(source, flags);
+
+    const words = [...this.words].map((word) => this.pattern(word));
+    const identifier = new RegExp(
+      `(?!(?:${words.join("|")})${this.boundary})(?:${source})`,
+      unicodeFlag(formatted) ? flags : flags + unicodeFlag(this.wordChar)
+    );
+    identifier.description = ShapeExp.describe(formatted);
+    return identifier;
+  }
+
+  // Whether `regex` matches a keyword entirely, which makes it an identifier
+  // in grammar notation
+  matchesKeyword(regex) {
+    const { source, flags } = ShapeExp.formatRegex(regex);
+    const whole = new RegExp(`^(?:${source})$`, flags.replace(/[gy]/g, ""));
+    return [...this.words].some((word) =>
+      [word, word.toUpperCase()].some((spelling) => whole.test(spelling))
+    );
+  }
+}
+
 export class Shape extends Array {
+  // Lookaheads, see Lookahead
+  static and(value) {
+    return new Lookahead(value);
+  }
+  static not(value) {
+    return new Lookahead(value, true);
+  }
+
   constructor(...exps) {
     super();
 
@@ -623,7 +2207,10 @@ export class Shape extends Array {
       return (
         exp &&
         typeof exp === "object" &&
-        (exp.hasOwnProperty("min") || exp.hasOwnProperty("max"))
+        (exp.hasOwnProperty("min") ||
+          exp.hasOwnProperty("max") ||
+          exp.hasOwnProperty("label") ||
+          exp.hasOwnProperty("action"))
       );
     };
     const parseLimitExp = (expIndex) => {
@@ -648,6 +2235,11 @@ export class Shape extends Array {
       });
 
       Object.assign(shapeExp, parseLimitExp(i));
+      // Properties of subclasses are checked by $AST.labels
+      if (shapeExp.label && isReserved($AST, shapeExp.label))
+        throw new Error(
+          `label "${shapeExp.label}" would shadow a property of nodes`
+        );
       this.push(shapeExp);
     }
 
@@ -661,69 +2253,284 @@ export class $AST_LEFT_RECURSIVE extends $AST {
     const SHAPE = this.SHAPE;
 
     let leftCursor = _.cursor;
-    let $left = this.SHAPE[0].parse(_);
-    if (!$left) return null;
-    else $left = $left[0];
+    const results = this.SHAPE[0].parse(_);
+    if (!results) return null;
+
+    // Leading trivia is kept within the left operand
+    let $left = results.at(-1);
+    if (results.length > 1 && !_.evaluating)
+      $left = $left.AST
+        ? $left.rebuild([...results.slice(0, -1), ...$left.exps])
+        : new this({ exps: results });
 
     leftCursor = _.cursor;
 
-    while (_.taste(this.SHAPE[0].rightDelimeter)) {
-      const allowIncompleteParse = this.allowIncompleteParse;
-      const $RIGHT = class extends $AST {
-        static allowIncompleteParse = allowIncompleteParse;
-        static SHAPE = (() => {
-          const shape = new Shape();
-          shape.push(...SHAPE.slice(1));
+    const allowIncompleteParse = this.allowIncompleteParse;
+    const $RIGHT = class extends $AST {
+      static fallbackToFirstExp = false;
+      static allowIncompleteParse = allowIncompleteParse;
+      static SHAPE = (() => {
+        const shape = new Shape();
+        shape.push(...SHAPE.slice(1));
 
-          return shape;
-        })();
-      };
+        return shape;
+      })();
+    };
 
+    while (true) {
       const $right = $RIGHT.parse(_);
-
-      if (!$right) {
+      if (!$right || _.cursor === leftCursor) {
         _.cursor = leftCursor;
         return $left;
       }
-      $left = new this({ exps: [$left, ...$right.exps] });
+      if (SHAPE[0].label) $left.label = SHAPE[0].label;
+      $left = this.create(_, [$left, ...$right.exps]);
+      leftCursor = _.cursor;
     }
-    return $left;
+  }
+}
+
+export class $AST_PRECEDENCE extends $AST {
+  // Operator levels, lowest precedence first:
+  // { ops: ["+", "-"], assoc: "left" | "right" | "none", fixity: "infix" | "prefix" | "postfix", ast: $CLASS }
+  static OPERATORS = [];
+
+  // Operations are labeled `left`, `op` and `right`, the ones they don't
+  // have, like the `left` of prefix operations, are null
+  static get labels() {
+    const labels = new Map(super.labels);
+    ["left", "op", "right"].forEach((label) => {
+      if (!labels.has(label)) labels.set(label, false);
+    });
+    return labels;
+  }
+
+  static get operatorShapeExps() {
+    if (Object.hasOwn(this, "_operatorShapeExps"))
+      return this._operatorShapeExps;
+
+    const length = (op) => (typeof op === "string" ? op.length : Infinity);
+    const operators = [];
+    this.OPERATORS.forEach((level, precedence) => {
+      level = { assoc: "left", fixity: "infix", ast: this, ...level };
+      level.ops.forEach((op) =>
+        operators.push({
+          op,
+          level,
+          precedence,
+          shapeExp: new ShapeExp({ value: op }),
+        })
+      );
+    });
+    // Longest operators first, so "<=" is tried before "<"
+    operators.sort((a, b) => length(b.op) - length(a.op));
+
+    return (this._operatorShapeExps = operators);
+  }
+
+  static parseOperator(_, fixities, minPrecedence, maxPrecedence = Infinity) {
+    for (const operator of this.operatorShapeExps) {
+      const { level, precedence, shapeExp } = operator;
+      if (!fixities.includes(level.fixity)) continue;
+      if (precedence < minPrecedence || precedence > maxPrecedence) continue;
+
+      const results = shapeExp.parse(_);
+      if (results) return { ...operator, results };
+    }
+    return null;
+  }
+
+  static parseOperation(_, minPrecedence = 0) {
+    const startCursor = _.cursor;
+    let maxPrecedence = Infinity;
+    let left;
+
+    // Prefix operators start operands wherever they are, their precedence
+    // only binds their own operand, so that `2 ^ -3` parses
+    const prefix = this.parseOperator(_, ["prefix"], 0);
+    if (prefix) {
+      const operand = this.parseOperation(_, prefix.precedence);
+      if (!operand) {
+        _.cursor = startCursor;
+        return null;
+      }
+      labelExps(prefix.results, "op");
+      labelExps(operand, "right");
+      left = [
+        prefix.level.ast.create(_, [...prefix.results, ...operand], {
+          precedence: prefix.precedence,
+        }),
+      ];
+    } else {
+      left = this.SHAPE[0].parse(_);
+      if (!left) return null;
+    }
+
+    while (true) {
+      const operatorCursor = _.cursor;
+      const operator = this.parseOperator(
+        _,
+        ["infix", "postfix"],
+        minPrecedence,
+        maxPrecedence
+      );
+      if (!operator) break;
+
+      const { level, precedence, results } = operator;
+      if (level.fixity === "postfix") {
+        labelExps(left, "left");
+        labelExps(results, "op");
+        left = [level.ast.create(_, [...left, ...results], { precedence })];
+        continue;
+      }
+
+      const right = this.parseOperation(
+        _,
+        level.assoc === "right" ? precedence : precedence + 1
+      );
+      if (!right) {
+        _.cursor = operatorCursor;
+        break;
+      }
+      labelExps(left, "left");
+      labelExps(results, "op");
+      labelExps(right, "right");
+
+      left = [
+        level.ast.create(_, [...left, ...results, ...right], { precedence }),
+      ];
+      if (level.assoc === "none") maxPrecedence = precedence - 1;
+    }
+
+    return left;
+  }
+
+  static parse(_ = new Lexer()) {
+    const exps = this.parseOperation(_);
+    if (!exps) return null;
+    if (exps.length === 1 && exps[0].AST) return exps[0];
+    return this.create(_, exps);
   }
 }
 
 export class $INDENT_BLOCK extends $AST {
+  static SCOPE = true;
+  static LAYOUT = (node, formatter) =>
+    node.isInline
+      ? formatter.layout(node.exps[0])
+      : Doc.indent(Doc.hardline, formatter.layout(node));
+
+  // Every statement repeats the SHAPE
+  static get labels() {
+    return new Map([...super.labels].map(([label]) => [label, true]));
+  }
+
+  // Blocks on the same line as the code before them wrap a single node
+  get isInline() {
+    return this.exps.length === 1 && this.exps[0] instanceof $INDENT_BLOCK;
+  }
+
+  // Names defined in a block are only visible within it
+  validate(env = new TypeEnv()) {
+    return super.validate(this.isInline ? env : env.scope());
+  }
+
+  // The line of the code before the cursor, blank and comment lines aside,
+  // -1 when there's none
+  static codeLineBefore(_) {
+    let cursor = _.cursor;
+    do cursor--;
+    while (cursor >= 0 && !_.str[cursor].trim());
+    if (cursor < 0) return -1;
+
+    let line = _.lineOf(cursor);
+    while (line >= 0 && _.isTriviaLine(line)) line--;
+    return line;
+  }
+
+  // A zero width INDENT or DEDENT token at the cursor
+  static layoutToken(_, type) {
+    const { line, ...columns } = _.positionOf(_.cursor);
+    return new Token({
+      type,
+      value: "",
+      start: _.cursor,
+      end: _.cursor,
+      line,
+      ...columns,
+      indent: _.lineIndent(line),
+    });
+  }
+
+  // Statements start on lines indented like the first one. Deeper or
+  // shallower lines are parsed all the same, with an ASTError on their first
+  // token, as are lines indented with characters the lexer doesn't allow.
+  static checkIndentation(_, token, blockIndent) {
+    const isLineStart = token.col === _.lineIndentChars[token.line].length;
+    if (!isLineStart || token.isMissing) return;
+    const message =
+      token.indent > blockIndent
+        ? "unexpected indent"
+        : token.indent < blockIndent
+        ? "unindent doesn't match an outer indentation level"
+        : _.indentationError(token.line);
+    if (message) token.error = new ASTError(token.line, token.col, message);
+  }
+
   static parse(_ = new Lexer()) {
-    _.pushCursor();
-    do _.cursor--;
-    while (_.str[_.cursor] && !_.str[_.cursor].trim());
-    const prevToken = _.eat(/\S/y);
-    _.popCursor();
-    const baseIndent = prevToken ? prevToken.indent : _.currentIndent;
-
-    if (prevToken)
-      if (prevToken.line === _.currentLine) {
+    const prevLine = this.codeLineBefore(_);
+    const baseIndent =
+      prevLine === -1 ? _.currentIndent : _.lineIndent(prevLine);
+
+    if (prevLine !== -1)
+      if (prevLine === _.currentLine) {
         const $exp = $AST.parse.apply(this, [_]);
         if ($exp) return new this({ exps: [$exp] });
         return null;
-      } else if (_.currentIndent <= prevToken.indent) return null;
+      } else if (_.currentIndent <= baseIndent) return null;
 
     const isIndented = () => {
       _.pushCursor();
-      while (_.taste(WHITESPACE_REGEX)) _.eat(WHITESPACE_REGEX);
+      while (_.taste(_.trivia)) _.eat(_.trivia);
       const nextToken = _.eat(/\S/y);
       _.popCursor();
       return nextToken && nextToken.indent > baseIndent;
     };
 
-    const exps = [];
+    const exps = [this.layoutToken(_, T.INDENT)];
+    let blockIndent = null;
     while (_.hasMoreToLex && isIndented()) {
       const $exp = $AST.parse.apply(this, [_]);
-      if ($exp) exps.push(...$exp.exps);
-      else {
+      if ($exp) {
+        const [first] = $exp.contentTokens;
+        if (first) {
+          if (blockIndent === null) blockIndent = first.indent;
+          this.checkIndentation(_, first, blockIndent);
+        }
+        exps.push(...$exp.exps);
+      } else if (this.SYNC) {
+        // The failed statement ends at a SYNC token or at the next line that
+        // isn't indented deeper
+        while (_.taste(_.trivia)) exps.push(_.eat(_.trivia));
+        const line = _.currentLine;
+        const indent = _.currentIndent;
+        const $error = $ERROR.recover(
+          _,
+          this.SYNC,
+          () =>
+            _.currentLine > line &&
+            _.lines[_.currentLine].trim() &&
+            _.cursor >= _.currentLineContentStart &&
+            _.currentIndent <= indent
+        );
+        if (!$error) break;
+        exps.push($error);
+      } else {
         break;
       }
     }
-    if (!exps.length) return null;
+    if (exps.length === 1) return null;
+    exps.push(this.layoutToken(_, T.DEDENT));
     return new this({ exps });
   }
 }
@@ -732,25 +2539,52 @@ export class $EXP extends $AST {
   static parse(_ = new Lexer()) {
     let $exp = $AST.parse.apply(this, [_]);
 
+    if ($exp && _.evaluating) return $exp.exps.find((e) => e.AST);
     if ($exp) {
       const exps = $exp.exps;
       const indexOfAST = exps.findIndex((e) => e.AST);
       const ast = exps[indexOfAST];
       let leadingWhitespaceTokens = exps.slice(0, indexOfAST);
       let trailingWhitespaceTokens = exps.slice(indexOfAST + 1);
-      $exp = new ast.constructor({
-        exps: [
-          ...leadingWhitespaceTokens,
-          ...ast.exps,
-          ...trailingWhitespaceTokens,
-        ],
-      });
+      $exp = ast.rebuild([
+        ...leadingWhitespaceTokens,
+        ...ast.exps,
+        ...trailingWhitespaceTokens,
+      ]);
     }
 
     return $exp;
   }
 }
 
+// Input skipped by error recovery, see $AST.SYNC
+export class $ERROR extends $AST {
+  // Skips input up to and including one of the `sync` tokens, or up to where
+  // `isEnd()` is true, into an $ERROR reporting the furthest failure
+  static recover(_, sync = [], isEnd = () => false) {
+    const { line, col, reason } = _.error;
+    const exps = [];
+    while (_.hasMoreToLex && !isEnd()) {
+      const token = sync.find((token) => _.taste(token));
+      if (token !== undefined) {
+        exps.push(_.eat(token));
+        break;
+      }
+      exps.push(_.eat(_.trivia) || _.eat(/\w+|\S/y));
+    }
+    if (!exps.length) return null;
+
+    // Later failures are reported on their own
+    _.failCursor = _.cursor;
+    _.expected = new Set();
+    return new this({ exps, error: new ASTError(line, col, reason) });
+  }
+
+  validate(env) {
+    return [this.error];
+  }
+}
+
 export class $UNKNOWN extends $AST {
   static SHAPE = new Shape(/^\S+/);
 }
@@ -758,3 +2592,1387 @@ export class $UNKNOWN extends $AST {
 export class $UNKNOWN_BLOCK extends $AST {
   static SHAPE = new Shape(/^.*/);
 }
+
+// The notation of Grammar, parsed by panda-parse itself
+class $GRAMMAR_NAME extends $AST {
+  static SHAPE = new Shape(/^[A-Za-z_]\w*/);
+}
+// Names followed by "=" start the next rule, by ":" label an item
+class $GRAMMAR_REFERENCE extends $AST {
+  static SHAPE = new Shape(/^[A-Za-z_]\w*\b(?!\s*[=:])/);
+}
+class $GRAMMAR_STRING extends $AST {
+  static SHAPE = new Shape(/^(?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')/);
+
+  get value() {
+    return this.text
+      .slice(1, -1)
+      .replace(/\\(.)/g, (_, c) => ({ n: "\n", r: "\r", t: "\t" }[c] ?? c));
+  }
+}
+class $GRAMMAR_REGEX extends $AST {
+  static SHAPE = new Shape(
+    /^\/(?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\\r\n])+\/[a-z]*/
+  );
+
+  get value() {
+    const end = this.text.lastIndexOf("/");
+    return new RegExp(this.text.slice(1, end), this.text.slice(end + 1));
+  }
+}
+class $GRAMMAR_GROUP extends $AST {
+  static SHAPE = new Shape(
+    "(",
+    () => $GRAMMAR_CHOICE,
+    { label: "choice" },
+    ")"
+  );
+}
+class $GRAMMAR_LABEL extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape($GRAMMAR_NAME, { label: "field" }, ":");
+}
+class $GRAMMAR_ITEM extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    $GRAMMAR_LABEL,
+    { min: 0, max: 1, label: "fieldLabel" },
+    /^[&!]/,
+    { min: 0, max: 1, label: "predicate" },
+    [$GRAMMAR_STRING, $GRAMMAR_REGEX, $GRAMMAR_REFERENCE, $GRAMMAR_GROUP],
+    { label: "primary" },
+    /^[*+?]/,
+    { min: 0, max: 1, label: "quantifier" }
+  );
+
+  get limit() {
+    const limit = this.quantifier
+      ? {
+          "?": { min: 0, max: 1 },
+          "*": { min: 0, max: Infinity },
+          "+": { min: 1, max: Infinity },
+        }[this.quantifier.value]
+      : {};
+    if (this.fieldLabel) limit.label = this.fieldLabel.field.text;
+    return Object.keys(limit).length ? limit : null;
+  }
+}
+class $GRAMMAR_SEQUENCE extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape($GRAMMAR_ITEM, {
+    min: 1,
+    max: Infinity,
+    label: "items",
+  });
+}
+class $GRAMMAR_CHOICE extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    $GRAMMAR_SEQUENCE,
+    { label: "sequences" },
+    new Shape("|", $GRAMMAR_SEQUENCE, { label: "sequences" }),
+    { min: 0, max: Infinity }
+  );
+}
+class $GRAMMAR_RULE extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    $GRAMMAR_NAME,
+    { label: "rule" },
+    "=",
+    $GRAMMAR_CHOICE,
+    { label: "choice" }
+  );
+}
+class $GRAMMAR extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape($GRAMMAR_RULE, {
+    min: 1,
+    max: Infinity,
+    label: "rules",
+  });
+}
+
+// Compiles a grammar written in a PEG-like notation into $AST classes:
+//
+//   EXPR = EXPR "+" TERM | TERM    # left recursion
+//   TERM = /\d+/ | "(" EXPR ")"
+//
+// Every rule becomes a class named after it with a "$" prefix. Items are
+// strings, regexes, rule names and parenthesized groups, followed by an
+// optional "?", "*" or "+" and preceded by an optional "label:". "&item"
+// and "!item" look ahead without consuming.
+export class Grammar {
+  constructor(
+    source = "",
+    { extend = {}, keywords = null, actions = {} } = {}
+  ) {
+    this.source = source;
+    // Base classes by rule name, $AST by default
+    this.extend = extend;
+    // ACTIONs by rule name
+    this.actions = actions;
+    // Reserved words, an array or Keywords
+    this.keywords = Array.isArray(keywords) ? new Keywords(keywords) : keywords;
+    this.ast = $GRAMMAR.parseAll(
+      new Lexer(source, { trivia: { comments: ["#", "//"] } })
+    );
+    this.rules = this.ast.rules.map(({ rule, choice }) => ({
+      name: rule.text,
+      choice,
+    }));
+    this.classes = {};
+
+    this.rules.forEach(({ name }) => {
+      if (`$${name}` in this.classes)
+        throw new Error(`Rule "${name}" is defined more than once`);
+      this.classes[`$${name}`] = null;
+    });
+    this.rules.forEach((rule) => {
+      this.classes[`$${rule.name}`] = this.compileRule(rule);
+    });
+  }
+
+  // The class of the first rule
+  get start() {
+    return this.classes[`$${this.rules[0].name}`];
+  }
+
+  parse(source = "", options = {}) {
+    return this.start.parseAll(new Lexer(source, options));
+  }
+  evaluate(source = "", options = {}) {
+    return this.start.evaluate(new Lexer(source, options));
+  }
+
+  analyze() {
+    return new GrammarAnalyzer(this.start, {
+      classes: Object.values(this.classes),
+    }).analyze();
+  }
+
+  compileRule({ name, choice }) {
+    const isLeftRecursive = ({ items: [first] }) =>
+      first.primary instanceof $GRAMMAR_REFERENCE &&
+      first.primary.text === name &&
+      !first.quantifier &&
+      !first.predicate;
+    const recursive = choice.sequences.filter(isLeftRecursive);
+    const seeds = choice.sequences.filter((s) => !isLeftRecursive(s));
+
+    let Base = this.extend[name] || $AST;
+    let SHAPE;
+    if (!recursive.length) SHAPE = new Shape(...this.compileChoice(seeds));
+    else if (!seeds.length)
+      throw new Error(`Rule "${name}" only has left recursive alternatives`);
+    else {
+      if (!this.extend[name]) Base = $AST_LEFT_RECURSIVE;
+      const tails = recursive.map(({ items }) => items.slice(1));
+      // The label of the recursive reference is the label of the left side
+      const [{ limit }] = recursive[0].items;
+      SHAPE = new Shape(
+        this.compileValue(seeds),
+        ...(limit ? [limit] : []),
+        ...(tails.length === 1
+          ? this.compileItems(tails[0])
+          : [tails.map((items) => new Shape(...this.compileItems(items)))])
+      );
+    }
+
+    const $RULE = {
+      [`$${name}`]: class extends Base {
+        static fallbackToFirstExp = false;
+      },
+    }[`$${name}`];
+    $RULE.SHAPE = SHAPE;
+    if (this.actions[name]) $RULE.ACTION = this.actions[name];
+    return $RULE;
+  }
+
+  // Shape arguments matching one of the sequences
+  compileChoice(sequences) {
+    if (sequences.length === 1) return this.compileItems(sequences[0].items);
+    return [sequences.map(({ items }) => this.compileValue([{ items }]))];
+  }
+  // A single Shape argument matching one of the sequences
+  compileValue(sequences) {
+    const args = this.compileChoice(sequences);
+    return args.length === 1 ? args[0] : new Shape(...args);
+  }
+  compileItems(items) {
+    return items.flatMap((item) => {
+      let value = this.compilePrimary(item.primary);
+      if (!item.predicate) return item.limit ? [value, item.limit] : [value];
+
+      // Predicates don't match anything to label
+      const { label, ...limit } = item.limit || {};
+      if (Object.keys(limit).length) value = new Shape(value, limit);
+      return [
+        item.predicate.value === "&" ? Shape.and(value) : Shape.not(value),
+      ];
+    });
+  }
+  compilePrimary(primary) {
+    if (primary instanceof $GRAMMAR_GROUP)
+      return this.compileValue(primary.choice.sequences);
+    if (primary instanceof $GRAMMAR_REFERENCE) {
+      const name = `$${primary.text}`;
+      if (!(name in this.classes))
+        throw new Error(
+          `${primary.line + 1}:${primary.col + 1} undefined rule "${
+            primary.text
+          }"`
+        );
+      return () => this.classes[name];
+    }
+    // Keyword strings match whole words, identifier regexes reject keywords
+    const { keywords } = this;
+    const { value } = primary;
+    if (keywords && primary instanceof $GRAMMAR_STRING && keywords.has(value))
+      return keywords.keyword(value);
+    if (keywords && primary instanceof $GRAMMAR_REGEX)
+      if (keywords.matchesKeyword(value)) return keywords.identifier(value);
+    return value;
+  }
+}
+
+export class GrammarIssue {
+  constructor({ type = "", message = "", rule = null } = {}) {
+    // "undefined-rule", "left-recursion", "nullable-repetition",
+    // "shadowed-alternative" or "unreachable-rule"
+    this.type = type;
+    this.message = message;
+    // The class the issue was found in
+    this.rule = rule;
+  }
+}
+
+// Finds mistakes in the SHAPEs reachable from a class without parsing:
+// references to undefined rules, left recursion that would never return,
+// repetitions of what can match empty input, alternatives shadowed by the
+// alternatives before them, and, among `classes`, rules that aren't reachable.
+export class GrammarAnalyzer {
+  constructor($ROOT, { classes = [] } = {}) {
+    this.$ROOT = $ROOT;
+    this.classes = classes;
+    this.shapes = new Map();
+    this.nullableRules = new Set();
+  }
+
+  static isRule(value) {
+    return typeof value === "function" && /^class\s/.test(value.toString());
+  }
+
+  // A ShapeExp as { kind, min, max, ... }, where kind is "text", "rule",
+  // "sequence", "choice", "predicate" or "undefined", with lazy exps resolved
+  element(shapeExp) {
+    const { min, max } = shapeExp;
+    if (shapeExp.PREDICATE_EXP) {
+      const { negate } = shapeExp.value;
+      const element = this.element(shapeExp.value.shapeExp);
+      // Predicates don't consume input
+      return { kind: "predicate", min: 0, max: 1, negate, element };
+    }
+    let { value } = shapeExp;
+    if (shapeExp.LAZY_EXP)
+      try {
+        value = value();
+      } catch {
+        value = undefined;
+      }
+
+    if (typeof value === "string" || value instanceof RegExp)
+      return { kind: "text", min, max, value };
+    if (GrammarAnalyzer.isRule(value)) return { kind: "rule", min, max, value };
+    if (
+      Array.isArray(value) &&
+      (shapeExp.OPTION_EXP || !(value instanceof Shape))
+    )
+      return {
+        kind: "choice",
+        min,
+        max,
+        alternatives: [
+          ...(value instanceof Shape ? value : new Shape(...value)),
+        ].map((exp) => this.element(exp)),
+      };
+    if (value instanceof Shape)
+      return {
+        kind: "sequence",
+        min,
+        max,
+        elements: [...value].map((exp) => this.element(exp)),
+      };
+    return { kind: "undefined", min, max, value };
+  }
+  elements($RULE) {
+    if (!this.shapes.has($RULE))
+      this.shapes.set(
+        $RULE,
+        [...($RULE.SHAPE || [])].map((exp) => this.element(exp))
+      );
+    return this.shapes.get($RULE);
+  }
+  // The elements parsed first, before anything else of the rule
+  leftElements($RULE) {
+    const elements = this.elements($RULE);
+    if (
+      $RULE.prototype instanceof $AST_LEFT_RECURSIVE ||
+      $RULE.prototype instanceof $AST_PRECEDENCE
+    )
+      return elements.slice(0, 1);
+    return elements;
+  }
+
+  describe(element) {
+    if (element.kind === "text") return ShapeExp.describe(element.value);
+    if (element.kind === "rule") return element.value.name;
+    if (element.kind === "sequence")
+      return `(${element.elements.map((e) => this.describe(e)).join(" ")})`;
+    if (element.kind === "choice")
+      return `[${element.alternatives
+        .map((e) => this.describe(e))
+        .join(", ")}]`;
+    if (element.kind === "predicate")
+      return `${element.negate ? "!" : "&"}${this.describe(element.element)}`;
+    return "undefined";
+  }
+
+  // Rules referenced by an element
+  references(element) {
+    if (element.kind === "rule") return [element.value];
+    if (element.kind === "sequence")
+      return element.elements.flatMap((e) => this.references(e));
+    if (element.kind === "choice")
+      return element.alternatives.flatMap((e) => this.references(e));
+    if (element.kind === "predicate") return this.references(element.element);
+    return [];
+  }
+  reachableRules() {
+    const rules = new Set();
+    const visit = ($RULE) => {
+      if (rules.has($RULE)) return;
+      rules.add($RULE);
+      this.elements($RULE).forEach((element) =>
+        this.references(element).forEach(visit)
+      );
+      ($RULE.OPERATORS || []).forEach(({ ast }) => ast && visit(ast));
+    };
+    visit(this.$ROOT);
+    return rules;
+  }
+
+  isNullable(element) {
+    if (element.min === 0) return true;
+    if (element.kind === "text") {
+      const { source, flags } = element.value;
+      return element.value instanceof RegExp
+        ? new RegExp(`^(?:${source})`, flags.replace(/[gy]/g, "")).test("")
+        : !element.value.length;
+    }
+    if (element.kind === "rule") return this.nullableRules.has(element.value);
+    if (element.kind === "sequence")
+      return element.elements.every((e) => this.isNullable(e));
+    if (element.kind === "choice")
+      return element.alternatives.some((e) => this.isNullable(e));
+    return false;
+  }
+  isNullableRule($RULE) {
+    if (!$RULE.SHAPE || $RULE.prototype instanceof $INDENT_BLOCK) return false;
+    return this.leftElements($RULE).every((e) => this.isNullable(e));
+  }
+
+  // Rules that can be parsed first within elements, at the same cursor
+  leftRules(elements) {
+    const rules = [];
+    for (const element of elements) {
+      if (element.kind === "rule") rules.push(element.value);
+      else if (element.kind === "sequence")
+        rules.push(...this.leftRules(element.elements));
+      else if (element.kind === "choice")
+        element.alternatives.forEach((e) => rules.push(...this.leftRules([e])));
+      else if (element.kind === "predicate")
+        rules.push(...this.leftRules([element.element]));
+      if (!this.isNullable(element)) break;
+    }
+    return rules;
+  }
+
+  // The string an element always matches, when it matches a single token
+  literal(element) {
+    if (element.min < 1 || element.max !== 1) return null;
+    if (element.kind === "text") return element.value;
+    if (element.kind === "sequence" && element.elements.length === 1)
+      return this.literal(element.elements[0]);
+    if (element.kind === "rule" && element.value.parse === $AST.parse) {
+      const elements = this.elements(element.value);
+      return elements.length === 1 ? this.literal(elements[0]) : null;
+    }
+    return null;
+  }
+  // The string the input starts with when an element matches
+  prefix(element) {
+    if (element.min < 1) return null;
+    if (element.kind === "text")
+      return typeof element.value === "string" ? element.value : null;
+    if (element.kind === "sequence" && element.elements.length)
+      return this.prefix(element.elements[0]);
+    if (element.kind === "rule" && element.value.parse === $AST.parse) {
+      const [first] = this.elements(element.value);
+      return first ? this.prefix(first) : null;
+    }
+    return null;
+  }
+  shadows(a, b) {
+    const literal = this.literal(a);
+    const prefix = this.prefix(b);
+    if (literal === null || prefix === null) return false;
+    if (typeof literal === "string") return prefix.startsWith(literal);
+
+    const regex = ShapeExp.formatRegex(literal);
+    regex.lastIndex = 0;
+    const match = regex.exec(prefix);
+    return !!match && match[0].length > 0;
+  }
+
+  analyze() {
+    const issues = [];
+    const rules = new Set([...this.reachableRules(), ...this.classes]);
+    const issue = (type, $RULE, message) =>
+      issues.push(
+        new GrammarIssue({
+          type,
+          rule: $RULE,
+          message: `${$RULE.name}: ${message}`,
+        })
+      );
+    const forEachElement = (callback) => {
+      const visit = ($RULE, element) => {
+        callback($RULE, element);
+        if (element.kind === "sequence")
+          element.elements.forEach((e) => visit($RULE, e));
+        if (element.kind === "choice")
+          element.alternatives.forEach((e) => visit($RULE, e));
+        if (element.kind === "predicate") visit($RULE, element.element);
+      };
+      rules.forEach(($RULE) =>
+        this.elements($RULE).forEach((element) => visit($RULE, element))
+      );
+    };
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      rules.forEach(($RULE) => {
+        if (this.nullableRules.has($RULE) || !this.isNullableRule($RULE))
+          return;
+        this.nullableRules.add($RULE);
+        changed = true;
+      });
+    }
+
+    forEachElement(($RULE, element) => {
+      if (element.kind === "undefined")
+        issue("undefined-rule", $RULE, `references an undefined rule`);
+    });
+
+    // Cycles of rules parsed first at the same cursor
+    const reported = new Set();
+    const stack = [];
+    const visited = new Set();
+    const visit = ($RULE) => {
+      const index = stack.indexOf($RULE);
+      if (index !== -1) {
+        const cycle = stack.slice(index);
+        const key = cycle
+          .map((rule) => rule.name)
+          .sort()
+          .join();
+        if (!reported.has(key)) {
+          reported.add(key);
+          issue(
+            "left-recursion",
+            $RULE,
+            `left recursion ${[...cycle, $RULE]
+              .map((r) => r.name)
+              .join(" -> ")}`
+          );
+        }
+        return;
+      }
+      if (visited.has($RULE)) return;
+      visited.add($RULE);
+      stack.push($RULE);
+      this.leftRules(this.leftElements($RULE)).forEach(visit);
+      stack.pop();
+    };
+    rules.forEach(visit);
+
+    forEachElement(($RULE, element) => {
+      if (element.max > 1 && this.isNullable({ ...element, min: 1 }))
+        issue(
+          "nullable-repetition",
+          $RULE,
+          `repetition of ${this.describe(element)} can match empty input`
+        );
+    });
+    rules.forEach(($RULE) => {
+      if ($RULE.prototype instanceof $INDENT_BLOCK && $RULE.SHAPE)
+        if (this.elements($RULE).every((e) => this.isNullable(e)))
+          issue(
+            "nullable-repetition",
+            $RULE,
+            `block statements can match empty input`
+          );
+    });
+
+    forEachElement(($RULE, element) => {
+      if (element.kind !== "choice") return;
+      const { alternatives } = element;
+      alternatives.forEach((a, i) => {
+        if (this.isNullable(a) && i < alternatives.length - 1)
+          issue(
+            "shadowed-alternative",
+            $RULE,
+            `${this.describe(
+              a
+            )} can match empty input, the alternatives after it are never tried`
+          );
+        else
+          alternatives.slice(i + 1).forEach((b) => {
+            if (this.shadows(a, b))
+              issue(
+                "shadowed-alternative",
+                $RULE,
+                `${this.describe(b)} is never tried, ${this.describe(
+                  a
+                )} matches first`
+              );
+          });
+      });
+    });
+
+    const reachable = this.reachableRules();
+    this.classes.forEach(($RULE) => {
+      if (!reachable.has($RULE))
+        issue(
+          "unreachable-rule",
+          $RULE,
+          `isn't reachable from ${this.$ROOT.name}`
+        );
+    });
+
+    return issues;
+  }
+}
+
+// Characters tried for the character classes, escapes like \w and `.` of
+// regexes, when generating text matching them
+const SAMPLE_CHARS = [
+  ..."abcxyzABCXYZ0123456789_ +-*/=<>!?.,;:()[]{}\"'#$%&@^|~\\é",
+];
+// The start of a line after a generated block
+const LINE_END = /\n[ \t]*$/;
+// Tries at generating text matching a regex
+const SAMPLE_ATTEMPTS = 50;
+
+// Random numbers in [0, 1), the same for the same seed
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// A function generating random text for `regex`, from the common regex
+// syntax. Lookarounds, anchors and back references generate nothing, so the
+// text can still not match, see GrammarTester.generateText.
+const regexGenerator = (regex, random) => {
+  const { source } = regex;
+  const flags = regex.flags.replace(/[gy]/g, "");
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const charClass = (pattern) => {
+    const test = new RegExp(`^(?:${pattern})$`, flags);
+    const chars = SAMPLE_CHARS.filter((char) => test.test(char));
+    return () => (chars.length ? pick(chars) : "");
+  };
+
+  let i = 0;
+  const parseAlternatives = () => {
+    const alternatives = [parseSequence()];
+    while (source[i] === "|") {
+      i++;
+      alternatives.push(parseSequence());
+    }
+    return () => pick(alternatives)();
+  };
+  const parseSequence = () => {
+    const atoms = [];
+    while (i < source.length && source[i] !== "|" && source[i] !== ")")
+      atoms.push(parseQuantifier(parseAtom()));
+    return () => atoms.map((atom) => atom()).join("");
+  };
+  const parseAtom = () => {
+    const start = i;
+    const char = source[i++];
+    if (char === "(") {
+      const [prefix] = /^(?:\?(?:<?[=!]|:|<[^>]+>))?/.exec(source.slice(i));
+      i += prefix.length;
+      const group = parseAlternatives();
+      i++;
+      return /[=!]$/.test(prefix) ? () => "" : group;
+    }
+    if (char === "[") {
+      // Classes nest with the v flag
+      let depth = 1;
+      while (depth && i < source.length) {
+        if (source[i] === "\\") i++;
+        else if (source[i] === "[" && flags.includes("v")) depth++;
+        else if (source[i] === "]") depth--;
+        i++;
+      }
+      return charClass(source.slice(start, i));
+    }
+    if (char === "\\") {
+      const [escape] =
+        /^(?:[pP]\{[^}]*\}|u\{[^}]*\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[a-zA-Z]|k<[^>]+>|\d+|[^])/.exec(
+          source.slice(i)
+        );
+      i += escape.length;
+      if (/^(?:[bB]|\d+|k<.*)$/.test(escape)) return () => "";
+      return charClass(source.slice(start, i));
+    }
+    if (char === "^" || char === "$") return () => "";
+    if (char === ".") return charClass(".");
+    return () => char;
+  };
+  const parseQuantifier = (atom) => {
+    const quantifier = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(
+      source.slice(i)
+    );
+    if (!quantifier) return atom;
+    i += quantifier[0].length;
+    const [, symbol, count, comma, max] = quantifier;
+    const [low, high] = symbol
+      ? { "*": [0, 3], "+": [1, 3], "?": [0, 1] }[symbol]
+      : [+count, comma ? (max ? +max : +count + 3) : +count];
+    return () => {
+      const times = low + Math.floor(random() * (high - low + 1));
+      return Array.from({ length: times }, () => atom()).join("");
+    };
+  };
+
+  return parseAlternatives();
+};
+
+// The first difference between an expected snapshot and the actual one, as
+// "path: expected …, found …", or null. Objects are compared on the keys of
+// the expected object only, arrays item by item.
+const snapshotDiff = (expected, actual, path = "") => {
+  const at = path || "snapshot";
+  const describe = (value) => JSON.stringify(value) ?? `${value}`;
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual))
+      return `${at}: expected an array, found ${describe(actual)}`;
+    if (expected.length !== actual.length)
+      return `${at}.length: expected ${expected.length}, found ${actual.length}`;
+    for (let i = 0; i < expected.length; i++) {
+      const diff = snapshotDiff(expected[i], actual[i], `${path}[${i}]`);
+      if (diff) return diff;
+    }
+    return null;
+  }
+  if (expected && typeof expected === "object") {
+    if (!actual || typeof actual !== "object")
+      return `${at}: expected an object, found ${describe(actual)}`;
+    for (const key of Object.keys(expected)) {
+      const diff = snapshotDiff(
+        expected[key],
+        actual[key],
+        path ? `${path}.${key}` : key
+      );
+      if (diff) return diff;
+    }
+    return null;
+  }
+  if (Object.is(expected, actual)) return null;
+  return `${at}: expected ${describe(expected)}, found ${describe(actual)}`;
+};
+
+// A failed GrammarTester check. `type` is "snapshot", "parse-error",
+// "crash", "rejected" or "round-trip", `source` the input it failed on and
+// `seed` the seed that generated it, when it was generated.
+export class GrammarTestError extends Error {
+  constructor({
+    type = "",
+    message = "",
+    source = "",
+    seed = null,
+    cause,
+  } = {}) {
+    super(`${type}: ${message}\n\n${source}`, { cause });
+    this.name = "GrammarTestError";
+    this.type = type;
+    this.reason = message;
+    this.source = source;
+    this.seed = seed;
+  }
+}
+
+// Tests a grammar without a test runner: failed assertions throw a
+// GrammarTestError, whatever runs them. Snapshots are trees as toSimpleObj
+// without their trivia, rejected sources are checked against their
+// ParseError, and random sources generated from the SHAPEs reachable from
+// `$ROOT` fuzz it for crashes and sources that don't round-trip.
+export class GrammarTester {
+  constructor(
+    $ROOT,
+    {
+      lexerOptions = {},
+      // Whether snapshots keep whitespace and comment tokens
+      trivia = false,
+      seed = 1,
+      // Nested rules past which generated sources take the shortest way out
+      maxDepth = 8,
+      // Most repetitions generated beyond the minimum of a repeated exp
+      maxRepeat = 3,
+      spacing = " ",
+      indent = "  ",
+    } = {}
+  ) {
+    this.$ROOT = $ROOT;
+    this.lexerOptions = lexerOptions;
+    this.trivia = trivia;
+    this.seed = seed;
+    this.maxDepth = maxDepth;
+    this.maxRepeat = maxRepeat;
+    this.spacing = spacing;
+    this.indent = indent;
+    this.analyzer = new GrammarAnalyzer($ROOT);
+    this.random = seededRandom(seed);
+    this.regexGenerators = new Map();
+
+    // The fewest nested rules each rule can be generated with
+    this.heights = new Map();
+    const rules = [...this.analyzer.reachableRules()];
+    let changed = true;
+    while (changed) {
+      changed = false;
+      rules.forEach(($RULE) => {
+        const height = Math.max(
+          0,
+          ...this.analyzer.leftElements($RULE).map((e) => this.height(e))
+        );
+        if (height < (this.heights.get($RULE) ?? Infinity)) {
+          this.heights.set($RULE, height);
+          changed = true;
+        }
+      });
+    }
+  }
+
+  parse(source, $RULE = this.$ROOT) {
+    return $RULE.parseAll(new Lexer(source, this.lexerOptions));
+  }
+
+  snapshot(source, $RULE = this.$ROOT) {
+    const snapshotOf = (exp) =>
+      exp.AST
+        ? {
+            ...exp.toSimpleObj(),
+            exps: exp.exps
+              .filter((e) => this.trivia || isContent(e))
+              .map(snapshotOf),
+          }
+        : exp.toSimpleObj();
+    return snapshotOf(this.parse(source, $RULE));
+  }
+  // Only the keys in `expected` are compared, so
+  // { name: "$ADD", exps: [{ value: "1" }, { value: "+" }, {}] } matches
+  // "1 + 2"
+  assertSnapshot(source, expected, $RULE = this.$ROOT) {
+    const snapshot = this.snapshot(source, $RULE);
+    const diff = snapshotDiff(expected, snapshot);
+    if (diff)
+      throw new GrammarTestError({ type: "snapshot", message: diff, source });
+    return snapshot;
+  }
+
+  // The ParseError of a source that mustn't parse, with the `expected`
+  // { line, col, expected, found, ... } of it
+  assertRejects(source, expected = {}, $RULE = this.$ROOT) {
+    let ast;
+    try {
+      ast = this.parse(source, $RULE);
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      const diff = snapshotDiff(expected, error);
+      if (diff)
+        throw new GrammarTestError({
+          type: "parse-error",
+          message: diff,
+          source,
+          cause: error,
+        });
+      return error;
+    }
+    throw new GrammarTestError({
+      type: "parse-error",
+      message: `expected a ParseError, parsed ${ast.name}`,
+      source,
+    });
+  }
+
+  // The failure of a source that should parse, or null: a thrown error other
+  // than a ParseError is a "crash", a ParseError or input skipped by error
+  // recovery "rejected", and a tree whose text or printed text isn't the
+  // source a "round-trip" failure
+  check(source, $RULE = this.$ROOT, seed = null) {
+    const failure = (type, message, cause) =>
+      new GrammarTestError({ type, message, source, seed, cause });
+    let ast;
+    try {
+      ast = this.parse(source, $RULE);
+      const [error] = ast.errors;
+      if (error)
+        return failure(
+          "rejected",
+          `${error.line + 1}:${error.col + 1} ${error.message}`
+        );
+      if (ast.text !== source)
+        return failure("round-trip", `parsed as ${JSON.stringify(ast.text)}`);
+      const printed = ast.print();
+      if (printed !== source)
+        return failure("round-trip", `printed as ${JSON.stringify(printed)}`);
+    } catch (error) {
+      if (error instanceof ParseError)
+        return failure("rejected", error.message.split("\n")[0], error);
+      return failure("crash", `${error.name}: ${error.message}`, error);
+    }
+    return null;
+  }
+
+  // Checks `runs` sources generated with the seeds from `seed` on, returning
+  // their failures. A failed source is generated again with its `seed`.
+  fuzz({ runs = 100, seed = this.seed, $RULE = this.$ROOT } = {}) {
+    const failures = [];
+    for (let run = 0; run < runs; run++) {
+      const source = this.generate($RULE, seed + run);
+      const failure = this.check(source, $RULE, seed + run);
+      if (failure) failures.push(failure);
+    }
+    return failures;
+  }
+
+  // A random source of a rule reachable from the root, the same for the
+  // same seed
+  generate($RULE = this.$ROOT, seed = this.seed) {
+    if ((this.heights.get($RULE) ?? Infinity) === Infinity)
+      throw new Error(`Can't generate ${$RULE.name}, it never ends`);
+    this.random = seededRandom(seed);
+    return this.generateRule($RULE, 0, 0);
+  }
+
+  // The fewest nested rules an element can be generated with, Infinity when
+  // it never ends
+  height(element) {
+    if (element.min === 0) return 0;
+    if (element.kind === "text" || element.kind === "predicate") return 0;
+    if (element.kind === "rule")
+      return 1 + (this.heights.get(element.value) ?? Infinity);
+    if (element.kind === "sequence")
+      return Math.max(0, ...element.elements.map((e) => this.height(e)));
+    if (element.kind === "choice")
+      return Math.min(...element.alternatives.map((e) => this.height(e)));
+    return Infinity;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+  // Pieces after a block start on the line following it
+  join(pieces) {
+    return pieces.reduce((text, piece) => {
+      if (!piece) return text;
+      if (!text || LINE_END.test(text) || piece[0] === "\n")
+        return text + piece;
+      return text + this.spacing + piece;
+    }, "");
+  }
+
+  // `depth` rules deep, in a block `indent` levels deep
+  generateRule($RULE, depth, indent) {
+    const elements = this.analyzer.elements($RULE);
+    const isDeep = depth >= this.maxDepth;
+    const generate = (element) => this.generateElement(element, depth, indent);
+
+    if ($RULE.prototype instanceof $AST_PRECEDENCE) {
+      const operand = () => generate(elements[0]);
+      const operators = isDeep ? [] : $RULE.operatorShapeExps;
+      if (!operators.length || this.random() < 0.5) return operand();
+      const { op, level } = this.pick(operators);
+      const text = this.generateText(op);
+      if (level.fixity === "prefix") return this.join([text, operand()]);
+      if (level.fixity === "postfix") return this.join([operand(), text]);
+      return this.join([operand(), text, operand()]);
+    }
+    if ($RULE.prototype instanceof $AST_LEFT_RECURSIVE) {
+      const [first, ...rest] = elements;
+      const pieces = [generate(first)];
+      const repeats = isDeep ? 0 : Math.floor(this.random() * 3);
+      for (let i = 0; i < repeats; i++) pieces.push(...rest.map(generate));
+      return this.join(pieces);
+    }
+    if ($RULE.prototype instanceof $INDENT_BLOCK) {
+      const statements = isDeep ? 1 : 1 + Math.floor(this.random() * 3);
+      const prefix = `\n${this.indent.repeat(indent + 1)}`;
+      let text = "";
+      for (let i = 0; i < statements; i++)
+        text += `${prefix}${this.join(
+          elements.map((e) => this.generateElement(e, depth, indent + 1))
+        )}`.replace(LINE_END, "");
+      return `${text}\n${this.indent.repeat(indent)}`;
+    }
+    return this.join(elements.map(generate));
+  }
+
+  generateElement(element, depth, indent) {
+    const { min, max } = element;
+    const times =
+      depth >= this.maxDepth
+        ? min
+        : min +
+          Math.floor(
+            this.random() * (Math.min(max, min + this.maxRepeat) - min + 1)
+          );
+    const pieces = [];
+    for (let i = 0; i < times; i++) {
+      if (element.kind === "text")
+        pieces.push(this.generateText(element.value));
+      else if (element.kind === "rule")
+        pieces.push(this.generateRule(element.value, depth + 1, indent));
+      else if (element.kind === "sequence")
+        pieces.push(
+          this.join(
+            element.elements.map((e) => this.generateElement(e, depth, indent))
+          )
+        );
+      else if (element.kind === "choice") {
+        // Past maxDepth, only the alternatives ending the soonest
+        const heights = element.alternatives.map((e) => this.height(e));
+        const lowest = Math.min(...heights);
+        const alternatives = element.alternatives.filter(
+          (_, i) =>
+            heights[i] < Infinity &&
+            (depth < this.maxDepth || heights[i] === lowest)
+        );
+        pieces.push(
+          this.generateElement(this.pick(alternatives), depth, indent)
+        );
+      } else if (element.kind !== "predicate")
+        throw new Error(`Can't generate ${this.analyzer.describe(element)}`);
+    }
+    return this.join(pieces);
+  }
+
+  // A string, or random text matching a regex
+  generateText(value) {
+    if (typeof value === "string") return value;
+    if (!this.regexGenerators.has(value)) {
+      const regex = ShapeExp.formatRegex(value);
+      const generate = regexGenerator(regex, () => this.random());
+      this.regexGenerators.set(value, { regex, generate });
+    }
+    const { regex, generate } = this.regexGenerators.get(value);
+    for (let attempt = 0; attempt < SAMPLE_ATTEMPTS; attempt++) {
+      const text = generate();
+      regex.lastIndex = 0;
+      const match = regex.exec(text);
+      if (match && match[0] === text) return text;
+    }
+    throw new Error(`Can't generate text matching ${ShapeExp.describe(value)}`);
+  }
+}
+
+// A name declared in a scope, see SymbolTable
+export class Binding {
+  constructor({ name = "", node = null, declaration = null, scope = null }) {
+    this.name = name;
+    // The declaring node and its field holding the name
+    this.node = node;
+    this.declaration = declaration;
+    this.scope = scope;
+    // The reference nodes resolved to this binding
+    this.references = [];
+  }
+}
+
+export class Scope {
+  constructor(node = null, parent = null) {
+    this.node = node;
+    this.parent = parent;
+    this.children = [];
+    // Bindings by name, in the order they're declared
+    this.bindings = new Map();
+    if (parent) parent.children.push(this);
+  }
+
+  declare(binding) {
+    if (!this.bindings.has(binding.name)) this.bindings.set(binding.name, []);
+    this.bindings.get(binding.name).push(binding);
+  }
+
+  // The binding `name` refers to at `cursor`: the last one declared before it
+  // in the closest scope declaring it, or the first one when all are declared
+  // after it
+  resolve(name, cursor = Infinity) {
+    const bindings = this.bindings.get(name);
+    if (!bindings)
+      return this.parent ? this.parent.resolve(name, cursor) : null;
+    const before = bindings.filter((b) => b.declaration.start <= cursor);
+    return before.at(-1) || bindings[0];
+  }
+}
+
+// Resolves the names of a tree: classes with DECLARES declare the names in
+// their labeled fields, in the scope around them, REFERENCE nodes refer to
+// their text, and SCOPE nodes, like $INDENT_BLOCKs, nest scopes
+export class SymbolTable {
+  constructor(root) {
+    this.root = root;
+    this.scope = new Scope(root);
+    this.bindings = [];
+    // Bindings of the reference nodes, null when unresolved
+    this.references = new Map();
+
+    const references = [];
+    const visit = (node, scope) => {
+      const declarations = new Set();
+      const { DECLARES } = node.constructor;
+      if (DECLARES)
+        [node[DECLARES]].flat().forEach((declaration) => {
+          if (!declaration) return;
+          declarations.add(declaration);
+          const binding = new Binding({
+            name: declaration.text.trim(),
+            node,
+            declaration,
+            scope,
+          });
+          scope.declare(binding);
+          this.bindings.push(binding);
+        });
+      if (node.constructor.REFERENCE && !declarations.has(node))
+        references.push({ node, scope });
+
+      if (node.constructor.SCOPE && node !== this.root)
+        scope = new Scope(node, scope);
+      node.exps.forEach((exp) => {
+        if (exp.AST && !declarations.has(exp)) visit(exp, scope);
+      });
+    };
+    visit(root, this.scope);
+
+    // Resolved once every scope is complete, so names can be used before
+    // they're declared
+    references.forEach(({ node, scope }) => {
+      const binding = scope.resolve(node.text.trim(), node.start);
+      this.references.set(node, binding);
+      if (binding) binding.references.push(node);
+    });
+  }
+
+  // The reference nodes no binding was found for
+  get unresolved() {
+    return [...this.references]
+      .filter(([, binding]) => !binding)
+      .map(([node]) => node);
+  }
+
+  // The binding whose declaration or reference is at `line`, `col`, null
+  // when there's no name there
+  bindingAt(line, col) {
+    const isAt = (exp) => {
+      const token = exp.AST ? exp.contentTokens[0] : exp;
+      return (
+        !!token &&
+        token.line === line &&
+        col >= token.col &&
+        col <= token.col + exp.text.trim().length
+      );
+    };
+    const declared = this.bindings.find((b) => isAt(b.declaration));
+    if (declared) return declared;
+    for (const [node, binding] of this.references)
+      if (isAt(node)) return binding;
+    return null;
+  }
+  // The declaration of the name at `line`, `col`
+  definitionAt(line, col) {
+    const binding = this.bindingAt(line, col);
+    return binding && binding.declaration;
+  }
+  // The references to the name at `line`, `col`, starting with its
+  // declaration unless `includeDeclaration` is false
+  referencesAt(line, col, { includeDeclaration = true } = {}) {
+    const binding = this.bindingAt(line, col);
+    if (!binding) return [];
+    return [
+      ...(includeDeclaration ? [binding.declaration] : []),
+      ...binding.references,
+    ];
+  }
+}
+
+// Selector notation, parsed without trivia since whitespace is the
+// descendant combinator
+const SELECTOR_SPACE = /^\s+/;
+class $SELECTOR_TYPE extends $AST {
+  static SHAPE = new Shape(/^(?:\$?\w+|\*)/);
+}
+class $SELECTOR_LABEL extends $AST {
+  static SHAPE = new Shape(".", /^\w+/, { label: "field" });
+}
+class $SELECTOR_ATTRIBUTE extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    "[",
+    SELECTOR_SPACE,
+    { min: 0, max: 1 },
+    /^\w+/,
+    { label: "attribute" },
+    SELECTOR_SPACE,
+    { min: 0, max: 1 },
+    new Shape(
+      /^[\^$*]?=/,
+      { label: "op" },
+      SELECTOR_SPACE,
+      { min: 0, max: 1 },
+      [$GRAMMAR_STRING, /^[^\]\s]+/],
+      { label: "operand" },
+      SELECTOR_SPACE,
+      { min: 0, max: 1 }
+    ),
+    { min: 0, max: 1 },
+    "]"
+  );
+
+  // Strings are unescaped
+  get value() {
+    return this.operand ? this.operand.value : null;
+  }
+}
+class $SELECTOR_PSEUDO extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    ":",
+    /^(?:has|not|is)\b/,
+    { label: "pseudo" },
+    "(",
+    () => $SELECTOR_LIST,
+    { label: "list" },
+    ")"
+  );
+}
+class $SELECTOR_COMPOUND extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape([
+    new Shape($SELECTOR_TYPE, { label: "type" }, () => $SELECTOR_FILTER, {
+      min: 0,
+      max: Infinity,
+      label: "filters",
+    }),
+    new Shape(() => $SELECTOR_FILTER, {
+      min: 1,
+      max: Infinity,
+      label: "filters",
+    }),
+  ]);
+}
+class $SELECTOR_FILTER extends $AST {
+  static SHAPE = new Shape([
+    $SELECTOR_LABEL,
+    $SELECTOR_ATTRIBUTE,
+    $SELECTOR_PSEUDO,
+  ]);
+}
+class $SELECTOR_COMPLEX extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    /^[>+~]\s*/,
+    { min: 0, max: 1, label: "relative" },
+    $SELECTOR_COMPOUND,
+    { label: "compounds" },
+    new Shape(
+      /^(?:\s*[>+~]\s*|\s+)/,
+      { label: "combinators" },
+      $SELECTOR_COMPOUND,
+      { label: "compounds" }
+    ),
+    { min: 0, max: Infinity }
+  );
+}
+class $SELECTOR_LIST extends $AST {
+  static fallbackToFirstExp = false;
+  static SHAPE = new Shape(
+    SELECTOR_SPACE,
+    { min: 0, max: 1 },
+    $SELECTOR_COMPLEX,
+    { label: "selectors" },
+    new Shape(/^\s*,\s*/, $SELECTOR_COMPLEX, { label: "selectors" }),
+    { min: 0, max: Infinity },
+    SELECTOR_SPACE,
+    { min: 0, max: 1 }
+  );
+}
+
+// Selects nodes by class, label and text, like CSS selects elements:
+//
+//   $FUNC > $PARAMS $IDENT     $IDENTs within the $PARAMS children of $FUNCs
+//   $CALL:has(> $IDENT.callee) $CALLs whose callee field is an $IDENT
+//   $BINARY[op="+"]            $BINARYs whose op field is "+"
+//
+// Paths of the matched nodes keep the links to their parents, see ASTPath.
+export class Selector {
+  constructor(source = "*") {
+    this.source = source;
+    const ast = $SELECTOR_LIST.parseAll(new Lexer(source, { trivia: /(?!)/ }));
+    this.test = this.compileList(ast, false);
+  }
+
+  // The paths of the exps within `root` matching, root included
+  query(root) {
+    return Selector.paths(root).filter((path) => this.test(path));
+  }
+
+  // The paths of `root` and of the content exps within it, in order
+  static paths(root) {
+    const paths = [];
+    const visit = (path) => {
+      paths.push(path);
+      if (path.node.AST)
+        path.node.exps.forEach((exp, index) => {
+          if (isContent(exp)) visit(new ASTPath(exp, path, index));
+        });
+    };
+    visit(new ASTPath(root));
+    return paths;
+  }
+
+  // (path, scope) => boolean, `scope` being the path relative selectors are
+  // relative to
+  compileList(list, isRelative) {
+    const selectors = list.selectors.map((complex) => {
+      if (complex.relative && !isRelative)
+        throw new Error(
+          `${complex.line + 1}:${
+            complex.col + 1
+          } "${complex.relative.value.trim()}" only starts selectors in :has()`
+        );
+      return this.compileComplex(complex);
+    });
+    return (path, scope) => selectors.some((matches) => matches(path, scope));
+  }
+
+  compileComplex(complex) {
+    const compounds = complex.compounds.map((c) => this.compileCompound(c));
+    const combinators = [
+      complex.relative ? complex.relative.value.trim() : "",
+      ...complex.combinators.map((c) => c.value.trim()),
+    ];
+    const siblingsBefore = (path) => {
+      if (!path.parentPath) return [];
+      const { exps } = path.parentPath.node;
+      return exps
+        .slice(0, path.index)
+        .map((exp, index) => new ASTPath(exp, path.parentPath, index))
+        .filter((sibling) => isContent(sibling.node));
+    };
+    const ancestors = (path) => {
+      const paths = [];
+      for (let p = path.parentPath; p; p = p.parentPath) paths.push(p);
+      return paths;
+    };
+    // The paths `combinator` leads from `path` to, right to left
+    const related = (path, combinator) => {
+      if (combinator === ">") return path.parentPath ? [path.parentPath] : [];
+      if (combinator === "+") return siblingsBefore(path).slice(-1);
+      if (combinator === "~") return siblingsBefore(path);
+      return ancestors(path);
+    };
+
+    const matchesFrom = (path, i, scope) => {
+      if (!compounds[i](path)) return false;
+      if (i === 0)
+        return (
+          !scope ||
+          related(path, combinators[0]).some((p) => p.node === scope.node)
+        );
+      return related(path, combinators[i]).some((p) =>
+        matchesFrom(p, i - 1, scope)
+      );
+    };
+    return (path, scope) => matchesFrom(path, compounds.length - 1, scope);
+  }
+
+  compileCompound(compound) {
+    const filters = [];
+    if (compound.type) {
+      const type = compound.type.text;
+      if (type === "Token") filters.push((path) => !path.node.AST);
+      else if (type !== "*")
+        filters.push((path) => {
+          if (!path.node.AST) return false;
+          for (let c = path.node.constructor; c && c !== Object; )
+            if (c.name === type) return true;
+            else c = Object.getPrototypeOf(c);
+          return false;
+        });
+    }
+    compound.filters.forEach(({ exps: [filter] }) =>
+      filters.push(this.compileFilter(filter))
+    );
+    return (path) => filters.every((matches) => matches(path));
+  }
+
+  compileFilter(filter) {
+    if (filter instanceof $SELECTOR_LABEL)
+      return (path) => path.node.label === filter.field.text;
+
+    if (filter instanceof $SELECTOR_PSEUDO) {
+      const pseudo = filter.pseudo.value;
+      const matches = this.compileList(filter.list, pseudo === "has");
+      if (pseudo === "not") return (path) => !matches(path);
+      if (pseudo === "is") return (path) => matches(path);
+      return (path) =>
+        path.node.AST &&
+        Selector.paths(path.node).some(
+          (descendant) =>
+            descendant.node !== path.node && matches(descendant, path)
+        );
+    }
+
+    // Attributes are fields, "text" or "label", compared by their text
+    const { attribute, op, value } = filter;
+    const name = attribute.text;
+    const textOf = (path) => {
+      const field = name === "text" ? path.node.text : path.node[name];
+      if (field === undefined || field === null) return null;
+      if (Array.isArray(field)) return field.map((f) => f.text.trim()).join();
+      return typeof field === "object" ? field.text.trim() : `${field}`;
+    };
+    // Without an operator, the attribute only has to be there
+    const compare = op
+      ? {
+          "=": (text) => text === value,
+          "^=": (text) => text.startsWith(value),
+          "$=": (text) => text.endsWith(value),
+          "*=": (text) => text.includes(value),
+        }[op.value]
+      : () => true;
+    return (path) => {
+      const text = textOf(path);
+      return text !== null && compare(name === "text" ? text.trim() : text);
+    };
+  }
+}
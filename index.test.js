@@ -1,5 +1,50 @@
 import "t-rex-test";
-import { Lexer, $AST, Shape } from "./index.js";
+import {
+  Lexer,
+  $AST,
+  $AST_PRECEDENCE,
+  $AST_LEFT_RECURSIVE,
+  $INDENT_BLOCK,
+  Shape,
+  ShapeExp,
+  Keywords,
+  $EXP,
+  ParseError,
+  ASTError,
+  $ERROR,
+  Token,
+  Printer,
+  StreamParser,
+  Doc,
+  Formatter,
+  CodeBuilder,
+  Grammar,
+  GrammarAnalyzer,
+  GrammarIssue,
+  GrammarTester,
+  GrammarTestError,
+  Type,
+  TypeUnknown,
+  TypePrimitive,
+  TypeFunction,
+  TypeUnion,
+  TypeEnv,
+  SymbolTable,
+  Scope,
+  Binding,
+  Selector,
+  ASTPath,
+} from "./index.js";
+import { LanguageServer, SymbolKind } from "./lsp.js";
+
+// The error thrown by `fn`, if any
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+};
 
 useTests("Lexer", () => {
   useTests("taste", () => {
@@ -82,6 +127,24 @@ useTests("Lexer", () => {
       const a = new Lexer(" abcd");
       assert(a.eat("a") === null);
     });
+    it("trivia", () => {
+      const a = new Lexer("\t \r\n// note\n/* a\nb */x", {
+        trivia: { comments: ["//", ["/*", "*/"]] },
+      });
+
+      const values = [];
+      while (a.taste(a.trivia)) values.push(a.eat(a.trivia));
+      assert(
+        values
+          .map((t) => t.value)
+          .matches(["\t \r\n", "// note", "\n", "/* a\nb */"])
+      );
+      assert(values.every((t) => t.isTrivia && t.isWhiteSpace));
+      assert(
+        values.map((t) => t.isComment).matches([false, true, false, true])
+      );
+      assert(a.eat("x").isTrivia === false);
+    });
     it("col", () => {
       const a = new Lexer(`abc\ndef\nghi`);
       a.cursor = 4;
@@ -129,6 +192,167 @@ useTests("Lexer", () => {
       assert(a.linesInRange(0, 4).matches([0, 1]));
       assert(a.linesInRange(3, 7).matches([1, 2]));
     });
+    it("cacheGet/cacheSet/cacheClear", () => {
+      const a = new Lexer("abc");
+      class $A extends $AST {}
+
+      a.cursor = 2;
+      a.cacheSet("x", 0, $A);
+      a.cacheSet("y", 0, "A");
+      assert(a.cacheGet(0, $A).matches({ ast: "x", cursorOnSave: 2 }));
+      assert(a.cacheGet(0, "A").ast === "y");
+      assert(a.cacheGet(1, $A) === undefined);
+
+      a.cacheClear($A);
+      assert(a.cacheGet(0, $A) === undefined);
+      assert(a.cacheGet(0, "A").ast === "y");
+
+      a.cacheClear();
+      assert(a.cacheGet(0, "A") === undefined);
+    });
+    it("lineOf", () => {
+      const a = new Lexer("ab\ncd\nef");
+      assert(a.lineOf(0) === 0);
+      assert(a.lineOf(3) === 1);
+      assert(a.lineOf(8) === 2);
+    });
+    it("line breaks", () => {
+      const a = new Lexer("ab\r\n  cd\ref\ngh\r");
+      assert(a.lines.matches(["ab", "  cd", "ef", "gh", ""]));
+      assert(a.lineOf(2) === 0 && a.lineOf(3) === 0 && a.lineOf(4) === 1);
+      assert(a.lineOf(8) === 1 && a.lineOf(9) === 2 && a.lineOf(12) === 3);
+      assert(a.lineOf(15) === 4 && a.lineOf(16) === -1);
+      assert(a.lineStart(1) === 4 && a.lineEnd(1) === 8);
+      assert(a.lineIndent(1) === 2 && a.lineContentEnd(1) === 8);
+
+      a.cursor = 6;
+      assert(a.currentLine === 1 && a.currentCol === 2);
+      const token = a.eat("cd");
+      assert(token.matches({ line: 1, col: 2, indent: 2 }));
+      a.cursor = 13;
+      assert(a.eat("h").matches({ line: 3, col: 1 }));
+
+      a.cursor = 9;
+      a.expect('"x"');
+      assert(a.error.matches({ line: 2, col: 0 }));
+      assert(a.error.excerpt === "ef\n^");
+    });
+    it("unicode positions", () => {
+      // "é" is one code unit, "👍" two and "👍🏽" four, for one grapheme
+      const a = new Lexer("é👍 👍🏽x\n\u3000y");
+      const columns = (token) =>
+        [token.col, token.codePointCol, token.graphemeCol].join();
+      assert(columns(a.eat(/\S+/)) === "0,0,0");
+      assert(columns(a.eat(" ")) === "3,2,2");
+      assert(columns(a.eat("👍🏽")) === "4,3,3");
+      assert(columns(a.eat("x")) === "8,5,4");
+      assert(a.positionOf(1).matches({ line: 0, col: 1, graphemeCol: 1 }));
+      assert(a.positionOf(8).matches({ line: 0, codePointCol: 5 }));
+
+      // Only spaces and tabs indent
+      a.eat("\n");
+      assert(a.eat(/\s/).matches({ line: 1, col: 0, indent: 0 }));
+      assert(columns(a.eat("y")) === "1,1,1");
+
+      const b = new Lexer("😀 -", { trivia: /\s+/ });
+      b.cursor = 3;
+      b.expect('"+"');
+      const { error } = b;
+      assert(error.matches({ col: 3, codePointCol: 2, graphemeCol: 2 }));
+      assert(error.message.startsWith('1:3 expected "+", found "-"'));
+      assert(error.excerpt === "😀 -\n  ^");
+
+      // Tokens made without a lexer count the same
+      const token = new Token({ value: "a", start: 4 });
+      assert(columns(token) === "4,4,4");
+    });
+    it("unicode regexes", () => {
+      const letters = ShapeExp.formatRegex(/^\p{Lu}\p{Ll}*/u);
+      assert(letters.flags === "uy" && letters.source === "\\p{Lu}\\p{Ll}*");
+      const a = new Lexer("Émile Ärger");
+      assert(a.eat(letters).value === "Émile");
+      assert(ShapeExp.describe(letters) === "/\\p{Lu}\\p{Ll}*/u");
+
+      const sets = ShapeExp.formatRegex(/[\p{L}--[a-z]]+/v);
+      assert(sets.flags === "vy" && new Lexer("ÉÈa").eat(sets).value === "ÉÈ");
+
+      // Combined regexes keep the unicode flag of their parts
+      const b = new Lexer("#ü x", {
+        trivia: { whitespace: /[ \t]+/, comments: [/#\p{L}*/u] },
+      });
+      assert(b.trivia.flags === "uy" && b.eat(b.trivia).value === "#ü");
+
+      const keywords = new Keywords(["für"], { wordChar: /[\p{L}\p{N}_]/u });
+      const identifier = keywords.identifier(/[a-zü]+/);
+      assert(identifier.flags === "uy");
+      assert(!new Lexer("für").eat(identifier));
+      assert(new Lexer("fürs").eat(identifier).value === "fürs");
+      assert(!new Lexer("fürs").eat(keywords.keyword("für")));
+      assert(new Lexer("für x").eat(keywords.any()).value === "für");
+    });
+    it("indentation", () => {
+      const source = "a\n\tb\n  \tc\n    # d\n\n \t e";
+      const a = new Lexer(source);
+      assert(a.lineIndents.matches([0, 1, 3, 4, 0, 3]));
+      const b = new Lexer(source, { indentation: { tabWidth: 4 } });
+      assert(b.lineIndents.matches([0, 4, 4, 4, 0, 5]));
+      assert(b.lineContentStart(2) === 8 && b.lineIndentChars[2] === "  \t");
+
+      assert(a.indentationError(1) === null && a.indentationError(2) === null);
+      const spaces = new Lexer(source, { indentation: { chars: "spaces" } });
+      assert(
+        spaces.indentationError(1) ===
+          "expected spaces in indentation, found a tab"
+      );
+      assert(spaces.indentationError(3) === null);
+      const tabs = new Lexer(source, { indentation: { chars: "tabs" } });
+      assert(tabs.indentationError(1) === null);
+      assert(
+        tabs.indentationError(3) ===
+          "expected tabs in indentation, found a space"
+      );
+      const unmixed = new Lexer(source, { indentation: { allowMixed: false } });
+      assert(unmixed.indentationError(1) === null);
+      assert(
+        unmixed.indentationError(5) === "mixed tabs and spaces in indentation"
+      );
+
+      const c = new Lexer(source, { trivia: { comments: ["#"] } });
+      assert(
+        [0, 1, 2, 3, 4, 5].map((line) => c.isTriviaLine(line)).join() ===
+          "false,false,false,true,true,false"
+      );
+    });
+    it("expect/error", () => {
+      const a = new Lexer("ab\n\tcd");
+      a.cursor = 1;
+      a.expect('"x"');
+      a.cursor = 4;
+      a.expect('"y"');
+      a.expect('"z"');
+      a.cursor = 2;
+      a.expect('"w"');
+
+      const error = a.error;
+      assert(error instanceof ParseError);
+      assert(error.matches({ line: 1, col: 1, cursor: 4 }));
+      assert(error.expected.matches(['"y"', '"z"']));
+      assert(error.found === '"cd"');
+      assert(error.excerpt === "\tcd\n\t^");
+      assert(
+        error.message.startsWith('2:2 expected one of "y", "z", found "cd"')
+      );
+
+      const unicode = new Lexer("sié e\u0301t 2²");
+      unicode.expect('"si"');
+      assert(unicode.error.found === '"sié"');
+      unicode.cursor = 4;
+      unicode.expect('"x"');
+      assert(unicode.error.found === '"e\u0301t"');
+      unicode.cursor = 8;
+      unicode.expect('"x"');
+      assert(unicode.error.found === '"2²"');
+    });
     it("linesInRange", () => {
       const a = new Lexer("abc");
 
@@ -324,4 +548,2291 @@ useTests("$AST", () => {
     $EXPR.parse(new Lexer("(1 + 2)")); // Grouped expression
     $EXPR.parse(new Lexer("(1 + 2) * 3")); // But wait... what about this?
   });
+  it("memoization", () => {
+    let groupParses = 0;
+
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $GROUP extends $AST {
+      static SHAPE = new Shape("(", () => $EXPR, ")");
+      static parse(_) {
+        groupParses++;
+        return super.parse(_);
+      }
+    }
+    class $ADD extends $AST {
+      static fallbackToFirstExp = false;
+      static SHAPE = new Shape([$GROUP, $NUMBER], "+", () => $EXPR);
+    }
+    class $EXPR extends $AST {
+      static SHAPE = new Shape([$ADD, $GROUP, $NUMBER]);
+    }
+
+    const source = "((((((((((1))))))))))";
+
+    $EXPR.parse(new Lexer(source));
+    assert(groupParses > 1000, `${groupParses}`);
+
+    groupParses = 0;
+    const ast = $EXPR.parse(new Lexer(source, { useCache: true }));
+    assert(ast.text === source);
+    assert(groupParses === 10, `${groupParses}`);
+
+    groupParses = 0;
+    $GROUP.useCache = true;
+    $EXPR.parse(new Lexer(source));
+    assert(groupParses === 10, `${groupParses}`);
+  });
+  it("operator precedence", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $MATH extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$NUMBER, () => $GROUP]);
+      static OPERATORS = [
+        { ops: ["<", "<="], assoc: "none" },
+        { ops: ["+", "-"] },
+        { ops: ["*", "/"] },
+        { ops: ["-"], fixity: "prefix" },
+        { ops: ["^"], assoc: "right" },
+        { ops: ["!"], fixity: "postfix" },
+      ];
+    }
+    class $GROUP extends $AST {
+      static SHAPE = new Shape("(", $MATH, ")");
+    }
+
+    const nest = (ast) =>
+      ast instanceof $MATH
+        ? `(${ast.contentExps.map(nest).join(" ")})`
+        : ast.text.trim();
+    const parse = (source) => {
+      const lexer = new Lexer(source);
+      const ast = $MATH.parse(lexer);
+      return { ast, nested: nest(ast), cursor: lexer.cursor };
+    };
+
+    assert(parse("1 + 2 * 3").nested === "(1 + (2 * 3))");
+    assert(parse("1 - 2 - 3").nested === "((1 - 2) - 3)");
+    assert(parse("2 ^ 3 ^ 2").nested === "(2 ^ (3 ^ 2))");
+    assert(parse("-2 ^ 2").nested === "(- (2 ^ 2))");
+    assert(parse("-3!").nested === "(- (3 !))");
+    assert(parse("1*2!+3").nested === "((1 * (2 !)) + 3)");
+    assert(parse("2 ^ -3").nested === "(2 ^ (- 3))");
+    assert(parse("2 ^ -3 ^ 2").nested === "(2 ^ (- (3 ^ 2)))");
+    assert(parse("1 * -2 + 3").nested === "((1 * (- 2)) + 3)");
+    // Operands an operation doesn't have are null
+    const negation = parse("-3").ast;
+    assert(negation.left === null && negation.right.text === "3");
+    assert(parse("3!").ast.right === null);
+    assert(parse("(1 + 2) * 3").nested === "((1 + 2) * 3)");
+
+    const nonAssociative = parse("1 <= 2 < 3");
+    assert(nonAssociative.nested === "(1 <= 2)");
+    assert(nonAssociative.cursor === 6);
+
+    const incomplete = parse("1 +");
+    assert(incomplete.ast instanceof $NUMBER);
+    assert(incomplete.cursor === 1);
+
+    const { ast } = parse("1 + 2 * 3");
+    assert(ast.text === "1 + 2 * 3");
+    assert(ast.tokens.length === 9);
+    assert(ast.contentExps[2] instanceof $MATH);
+  });
+  it("left recursion", () => {
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    // The right side repeats without a string delimiting it
+    class $APPLY extends $AST_LEFT_RECURSIVE {
+      static SHAPE = new Shape($NAME, $NAME);
+    }
+    const nest = (ast) =>
+      ast instanceof $APPLY
+        ? `(${ast.contentExps.map(nest).join(" ")})`
+        : ast.text.trim();
+    assert(nest($APPLY.parseAll(new Lexer("f x y"))) === "((f x) y)");
+
+    // Right sides are whole, a lone first exp of one isn't taken for it
+    class $SENTENCES extends $AST_LEFT_RECURSIVE {
+      static SHAPE = new Shape($NAME, $NAME, ".");
+    }
+    const lexer = new Lexer("a b. c");
+    assert($SENTENCES.parse(lexer).text === "a b.");
+    assert(lexer.cursor === 4);
+
+    // Right sides matching nothing end the loop
+    class $OPTIONAL extends $AST_LEFT_RECURSIVE {
+      static SHAPE = new Shape($NAME, $NAME, { min: 0 });
+    }
+    assert($OPTIONAL.parseAll(new Lexer("a")) instanceof $NAME);
+  });
+  it("sub shapes", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    // Sub shapes match whole, or not at all
+    class $FACTORIAL extends $AST {
+      static fallbackToFirstExp = false;
+      static SHAPE = new Shape(new Shape($NUMBER, "!"), { min: 0 }, $NUMBER);
+    }
+    assert($FACTORIAL.parseAll(new Lexer("1! 2")).text === "1! 2");
+    assert($FACTORIAL.parse(new Lexer("2")) instanceof $FACTORIAL);
+
+    // Sub shapes starting with a string that isn't there expect it
+    class $LIST extends $AST {
+      static fallbackToFirstExp = false;
+      static SHAPE = new Shape(
+        $NUMBER,
+        new Shape(",", $NUMBER),
+        { min: 0, max: Infinity },
+        ";"
+      );
+    }
+    assert($LIST.parseAll(new Lexer("1, 2;")).text === "1, 2;");
+    const error = errorOf(() => $LIST.parseAll(new Lexer("1, 2 3")));
+    assert(error.col === 5 && error.expected.join() === '",",";"');
+
+    // Optional strings starting shapes can be left out
+    class $SIGNED extends $AST {
+      static SHAPE = new Shape("-", { min: 0 }, $NUMBER);
+    }
+    class $PAIR extends $AST {
+      static SHAPE = new Shape($SIGNED, new Shape("+", { min: 0 }, $NUMBER), {
+        max: Infinity,
+      });
+    }
+    const pair = $PAIR.parseAll(new Lexer("1 +2 3"));
+    assert(pair.exps[0] instanceof $SIGNED && pair.text === "1 +2 3");
+    assert($PAIR.parseAll(new Lexer("-1 2")).exps[0].text === "-1");
+  });
+  it("parse errors", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $GROUP extends $AST {
+      static SHAPE = new Shape("(", () => $EXPR, ")");
+    }
+    class $ADD extends $AST {
+      static SHAPE = new Shape([$GROUP, $NUMBER], "+", () => $EXPR);
+    }
+    class $EXPR extends $AST {
+      static SHAPE = new Shape([$ADD, $GROUP, $NUMBER]);
+    }
+    const parseError = (source) =>
+      errorOf(() => $EXPR.parseAll(new Lexer(source)));
+
+    assert($EXPR.parseAll(new Lexer("1 + (2) ")).text === "1 + (2) ");
+
+    let error = parseError("1 +\n  (2 + x)");
+    assert(error instanceof ParseError);
+    assert(error.matches({ line: 1, col: 7, found: '"x"' }));
+    assert(error.expected.matches(['"("', "/\\d+/"]));
+    assert(error.excerpt === "  (2 + x)\n       ^");
+
+    error = parseError("(1 + 2");
+    assert(error.matches({ line: 0, col: 6, found: "end of input" }));
+    assert(error.expected.matches(['"+"', '")"']));
+
+    error = parseError("1 2");
+    assert(error.matches({ line: 0, col: 2, found: '"2"' }));
+    assert(error.expected.matches(['"+"', "end of input"]));
+  });
+  it("reparse", () => {
+    let itemParses = 0;
+
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $MATH extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$NUMBER, () => $LIST]);
+      static OPERATORS = [{ ops: ["+", "-"] }, { ops: ["*"] }];
+    }
+    class $ITEM extends $AST {
+      static SHAPE = new Shape($MATH, ";");
+      static parse(_) {
+        itemParses++;
+        return super.parse(_);
+      }
+    }
+    class $LIST extends $AST {
+      static SHAPE = new Shape("[", $ITEM, { min: 0, max: Infinity }, "]");
+    }
+    class $DOC extends $AST {
+      static SHAPE = new Shape($ITEM, { min: 1, max: Infinity });
+    }
+
+    const positions = (ast) =>
+      ast.tokens.map((t) => [t.value, t.start, t.end, t.line, t.col, t.indent]);
+    const edit = (prev, change) => {
+      const { offset, deleteCount, text } = change;
+      const source =
+        prev.text.slice(0, offset) +
+        text +
+        prev.text.slice(offset + deleteCount);
+      const expected = $DOC.parse(new Lexer(source));
+
+      itemParses = 0;
+      const ast = $DOC.reparse(prev, change);
+      assert(ast.text === source, source);
+      assert(positions(ast).matches(positions(expected)), source);
+      return ast;
+    };
+
+    let ast = $DOC.parse(new Lexer("1 + 2;\n[3; 4 * 5;];\n6 - 7;"));
+    const [first, , , , last] = ast.exps;
+
+    ast = edit(ast, { offset: 13, deleteCount: 1, text: "+ 40 *" });
+    assert(itemParses === 1);
+    assert(ast.exps[0] === first && ast.exps[4] === last);
+    assert(last.tokens[0].matches({ start: 25, line: 2, col: 0 }));
+
+    ast = edit(ast, { offset: 4, deleteCount: 0, text: "\n  " });
+    assert(itemParses === 1);
+    assert(ast.exps[4] === last);
+    assert(last.tokens[0].matches({ start: 28, line: 3, col: 0 }));
+
+    ast = edit(ast, { offset: 0, deleteCount: 0, text: "9" });
+    assert(ast.exps[4] !== last);
+
+    // The reparsed node keeps its label and comments, errors after it move
+    class $PAIR extends $AST {
+      static SHAPE = new Shape($NUMBER, { label: "key" }, "=", $LIST, {
+        label: "list",
+      });
+    }
+    class $PAIRS extends $AST {
+      static SYNC = [";"];
+      static SHAPE = new Shape(new Shape($PAIR, ";"), { max: Infinity });
+    }
+    const options = { trivia: { comments: ["#"] } };
+    const pairs = $PAIRS.parse(new Lexer("1 = # doc\n[2;];\n@;", options));
+    const change = { offset: 13, deleteCount: 0, text: "\n 3;" };
+    const $pairs = $PAIRS.reparse(pairs, change, pairs.text, options);
+    const [$pair] = $pairs.exps;
+    assert($pair.list.text === "[2;\n 3;]" && $pair.key === pairs.exps[0].key);
+    assert($pair.list.comments.map((t) => t.value).matches(["# doc"]));
+    const errors = (ast) => ast.errors.map(({ line, col }) => [line, col]);
+    const reparsed = $PAIRS.parse(new Lexer($pairs.text, options));
+    assert(errors($pairs).matches([[3, 0]]));
+    assert(errors($pairs).matches(errors(reparsed)));
+  });
+  it("trivia", () => {
+    class $ID extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    class $ASSIGN extends $AST {
+      static SHAPE = new Shape($ID, "=", $ID, ";");
+    }
+    class $DOC extends $AST {
+      static SHAPE = new Shape($ASSIGN, { min: 1, max: Infinity });
+    }
+
+    const tabs = "a\t=\tb;\r\nc = d;";
+    assert($DOC.parse(new Lexer(tabs)).text === tabs);
+
+    const source = "// first\r\na = b; /* two\nlines */\n  # hash\nc = d;";
+    const ast = $DOC.parse(
+      new Lexer(source, { trivia: { comments: ["//", "#", ["/*", "*/"]] } })
+    );
+    assert(ast.text === source);
+    assert(ast.contentTokens.map((t) => t.value).join("") === "a=b;c=d;");
+    assert(
+      ast.whiteSpaceTokens
+        .filter((t) => t.isComment)
+        .map((t) => t.value)
+        .matches(["// first", "/* two\nlines */", "# hash"])
+    );
+
+    const [first, second] = ast.contentExps;
+    assert(first.comments.map((t) => t.value).matches(["// first"]));
+    assert(
+      second.comments
+        .map((t) => t.value)
+        .matches(["/* two\nlines */", "# hash"])
+    );
+    assert(first.exps[0].comments.length === 0);
+
+    // Nodes parsed by options get the comments before the option
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $SET extends $AST {
+      static SHAPE = new Shape($ID, "=", [$NUMBER, $ID], { label: "source" });
+    }
+    const $set = $SET.parse(
+      new Lexer("b = /* inline */ 2", { trivia: { comments: [["/*", "*/"]] } })
+    );
+    assert($set.source.comments.map((t) => t.value).matches(["/* inline */"]));
+  });
+  it("traverse/transform", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $ID extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    class $MATH extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$NUMBER, $ID]);
+      static OPERATORS = [{ ops: ["+"] }, { ops: ["*"] }];
+    }
+    const ast = $MATH.parse(new Lexer("a + 2 * b"));
+
+    let numberPath;
+    ast.traverse({ $NUMBER: (path) => (numberPath = path) });
+    assert(numberPath.parent === ast.exps[3]);
+    assert(numberPath.index === 1);
+    assert(numberPath.ancestors.matches([ast, ast.exps[3]]));
+
+    const visited = [];
+    ast.traverse({
+      enter: (path) => path.node.AST && visited.push(`>${path.name}`),
+      leave: (path) => path.node.AST && visited.push(`<${path.name}`),
+      $MATH: { enter: (path) => path.node !== ast && path.skip() },
+    });
+    assert(
+      visited.join(" ") === ">$MATH >$ID <$ID >$MATH <$MATH <$MATH",
+      visited.join(" ")
+    );
+
+    const seven = $NUMBER.parse(new Lexer("7"));
+    const transformed = ast.transform({
+      $ID: { leave: (path) => path.replace(seven) },
+      $NUMBER: (path) => path.insertAfter(new Token({ value: "0" })),
+      Token: (path) =>
+        path.node.value === "+" && path.replace(new Token({ value: "-" })),
+    });
+    assert(transformed.text === "7 - 20 * 7", transformed.text);
+    assert(transformed.tokens.length === 10);
+    assert(transformed.exps[3].text === " 20 * 7");
+    assert(ast.text === "a + 2 * b");
+
+    const removed = ast.transform({
+      $MATH: { leave: (path) => path.parent && path.remove() },
+    });
+    assert(removed.text === "a +");
+    assert(ast.transform({ $MATH: (path) => path.remove() }) === null);
+  });
+  it("print", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $LIST extends $AST {
+      static SHAPE = new Shape("[", $NUMBER, { min: 0, max: Infinity }, "]");
+    }
+    class $ITEM extends $AST {
+      static SHAPE = new Shape([$LIST, $NUMBER], ";");
+    }
+    class $DOC extends $AST {
+      static SHAPE = new Shape($ITEM, { min: 1, max: Infinity });
+    }
+    class $SUBTRACT extends $AST_LEFT_RECURSIVE {
+      static SHAPE = new Shape($NUMBER, "-", $NUMBER);
+    }
+
+    const source = "  # lead\n[1 2\t3]; # x\n4;\n\n# trailing\n";
+    const ast = $DOC.parseAll(
+      new Lexer(source, { trivia: { comments: ["#"] } })
+    );
+    assert(ast.print() === source);
+    assert(new Printer().print(ast.exps[3]) === "[1 2\t3];");
+    assert($SUBTRACT.parseAll(new Lexer(" 3-2-1 ")).print() === " 3-2-1 ");
+
+    const edited = ast.transform({
+      $NUMBER: (path) => {
+        const { text } = path.node;
+        if (text === "2") path.remove();
+        if (text === "3") path.insertAfter($NUMBER.parse(new Lexer("9")));
+        if (text === "4")
+          path.replace(new $NUMBER({ exps: [new Token({ value: "44" })] }));
+      },
+    });
+    assert(
+      edited.print() === "  # lead\n[1 3 9]; # x\n44;\n\n# trailing\n",
+      edited.print()
+    );
+    assert(
+      edited.print({ spacing: "_" }) ===
+        "  # lead\n[1 3_9_]; # x\n44_;\n\n# trailing\n"
+    );
+  });
+  it("format", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $LIST extends $AST {
+      static SHAPE = new Shape(
+        "[",
+        [$NUMBER, () => $LIST],
+        { min: 0, max: Infinity },
+        "]"
+      );
+      static LAYOUT = (node, formatter) => {
+        const [open, ...items] = formatter.docs(node);
+        const close = items.pop();
+        return Doc.group(
+          open,
+          Doc.indent(Doc.softline, Doc.join(Doc.line, items)),
+          Doc.softline,
+          close
+        );
+      };
+    }
+    const format = (source) =>
+      new Formatter({ width: 12 }).format($LIST.parse(new Lexer(source)));
+
+    assert(format("[1    2\n 3]") === "[1 2 3]");
+    assert(
+      format("[1 2 3 [4 5] [6 7 8 9 10]]") ===
+        "[\n  1\n  2\n  3\n  [4 5]\n  [\n    6\n    7\n    8\n    9\n    10\n  ]\n]"
+    );
+
+    class $WORD extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SHAPE = new Shape(() => $STATEMENT);
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape($WORD, $WORD, ":", $BLOCK);
+    }
+    class $STATEMENTS extends $AST {
+      static SHAPE = new Shape([$STATEMENT, $WORD], { min: 1, max: Infinity });
+    }
+    const source = "# top\nif  a:\n      b   # note\n\n\n      c\nend # bye\n";
+    const ast = $STATEMENTS.parseAll(
+      new Lexer(source, { trivia: { comments: ["#"] } })
+    );
+    assert(
+      new Formatter().format(ast) ===
+        "# top\nif a:\n  b # note\n\n  c\nend # bye\n"
+    );
+    assert(
+      new Formatter({ indent: "\t" }).format(
+        $STATEMENTS.parse(new Lexer("if a:    b"))
+      ) === "if a: b"
+    );
+
+    // Comments on a line are kept apart from the code after them
+    class $ASSIGN extends $AST {
+      static SHAPE = new Shape($WORD, "=", $WORD, ";");
+    }
+    class $ASSIGNS extends $AST {
+      static SHAPE = new Shape($ASSIGN, { min: 1, max: Infinity });
+    }
+    const options = { trivia: { comments: [["/*", "*/"]] } };
+    const assigns = (source) => $ASSIGNS.parseAll(new Lexer(source, options));
+    const formatted = new Formatter().format(
+      assigns("/* c */b = /* inline */c;  ")
+    );
+    assert(formatted === "/* c */\nb = /* inline */ c;", formatted);
+    assert(new Formatter().format(assigns(formatted)) === formatted);
+    assert(assigns(formatted).text === formatted);
+  });
+
+  it("code generation", () => {
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^[a-z]\w*/);
+    }
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $EXPR extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$NAME, $NUMBER]);
+      static OPERATORS = [{ ops: ["+"] }, { ops: ["*"] }];
+    }
+    class $LET extends $AST {
+      static SHAPE = new Shape("let", $NAME, { label: "target" }, "=", $EXPR, {
+        label: "init",
+      });
+      static EMIT = ({ target, init }) => ["const ", target, " = ", init, ";"];
+    }
+    class $PRINT extends $AST {
+      static SHAPE = new Shape("print", $EXPR, { label: "arg" });
+      // Emitting through the builder
+      static EMIT = ({ arg }, builder) => {
+        builder.write("console.log(").emit(arg).write(");");
+      };
+    }
+    class $WHEN extends $AST {
+      static SHAPE = new Shape(
+        "when",
+        $EXPR,
+        { label: "test" },
+        "do",
+        () => $STMT,
+        { label: "body" }
+      );
+      static EMIT = ({ test, body }) => [
+        "if (",
+        test,
+        ") {\n",
+        CodeBuilder.indent(body),
+        "\n}",
+      ];
+    }
+    class $STMT extends $AST {
+      static SHAPE = new Shape([$LET, $PRINT, $WHEN]);
+    }
+    class $PROGRAM extends $AST {
+      static SHAPE = new Shape($STMT, { min: 0, max: Infinity });
+    }
+
+    const source = "let x = 1 + 2 * 3\n# note\nwhen x do print x\nprint x * 2";
+    const ast = $PROGRAM.parseAll(new Lexer(source, { trivia: /\s+|#.*/ }));
+    const js = ast.toJS();
+    // Nodes without an EMIT keep their exps, comments aside
+    assert(
+      js ===
+        "const x = 1 + 2 * 3;\n\nif (x) {\n  console.log(x);\n}\nconsole.log(x * 2);"
+    );
+    new Function(js);
+    assert(ast.toJS({ indent: "\t" }).includes("{\n\tconsole.log(x);\n}"));
+
+    const { code, map } = ast.compile({ file: "out.js", source: "in.dsl" });
+    assert(code === js);
+    assert(map.version === 3 && map.file === "out.js");
+    assert(map.sources[0] === "in.dsl" && map.sourcesContent[0] === source);
+
+    // Decodes the mappings into [line, col, sourceLine, sourceCol]
+    const BASE64 =
+      "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    const decoded = [];
+    const fields = [0, 0, 0, 0];
+    map.mappings.split(";").forEach((line, l) => {
+      fields[0] = 0;
+      line.split(",").forEach((segment) => {
+        if (!segment) return;
+        const values = [];
+        let value = 0;
+        let shift = 0;
+        [...segment].forEach((char) => {
+          const digit = BASE64.indexOf(char);
+          value += (digit & 31) << shift;
+          shift += 5;
+          if (digit & 32) return;
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = shift = 0;
+        });
+        values.forEach((v, i) => (fields[i] += v));
+        decoded.push([l, fields[0], fields[2], fields[3]]);
+      });
+    });
+    const at = (line, col) =>
+      decoded
+        .find(([l, c]) => l === line && c === col)
+        ?.slice(2)
+        .join(":");
+    assert(at(0, 0) === "0:0"); // const -> let
+    assert(at(0, 6) === "0:4"); // x
+    assert(at(0, 10) === "0:8" && at(0, 18) === "0:16"); // 1, 3
+    assert(at(2, 0) === "2:0" && at(2, 4) === "2:5"); // if -> when, x
+    assert(at(3, 2) === "2:10" && at(3, 14) === "2:16"); // print x
+    assert(at(5, 12) === "3:6" && at(5, 16) === "3:10"); // x * 2
+    assert(at(1, 0) === undefined && at(0, 7) === undefined);
+
+    const builder = new CodeBuilder();
+    builder.emit([
+      "a",
+      CodeBuilder.indent("\nb", CodeBuilder.indent("\nc\n")),
+      "d",
+    ]);
+    assert(`${builder}` === "a\n  b\n    c\nd");
+    assert(builder.sourceMap().mappings === ";;;");
+    assert(builder.sourceMap().matches({ version: 3, sources: ["input"] }));
+    assert(!("file" in builder.sourceMap()));
+  });
+
+  it("serialization", () => {
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^(?!let\b)[a-z]\w*/, { min: 1, s: "variable" });
+    }
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+      static ACTION = (_, node) => Number(node.text);
+    }
+    class $EXPR extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$NAME, $NUMBER]);
+      static OPERATORS = [{ ops: ["+"] }, { ops: ["*"] }];
+    }
+    class $LET extends $AST {
+      static allowIncompleteParse = true;
+      static SHAPE = new Shape("let", $NAME, { label: "target" }, "=", $EXPR, {
+        label: "init",
+        e: "expected a value",
+      });
+    }
+    class $PROGRAM extends $AST {
+      static SHAPE = new Shape($LET, { min: 0, max: Infinity });
+      static SYNC = ["let"];
+    }
+
+    const source = "# a\nlet x = 1 + 2 * 3\n# b\nlet ! = 4\nlet y =";
+    const ast = $PROGRAM.parseAll(new Lexer(source, { trivia: /\s+|#.*/ }));
+    const data = ast.serialize();
+    assert(data.version === 1 && data.ast.class === "$PROGRAM");
+
+    const back = $PROGRAM.deserialize(JSON.parse(JSON.stringify(data)));
+    assert(back instanceof $PROGRAM && back !== ast);
+    assert(back.text === source && back.print() === source);
+    const describe = (exp) =>
+      exp.AST
+        ? `${exp.name}${exp.label ? `.${exp.label}` : ""}(${exp.exps
+            .map(describe)
+            .join(" ")})`
+        : `${JSON.stringify(exp.value)}@${exp.line}:${exp.col}:${exp.start}`;
+    assert(describe(back) === describe(ast));
+    assert(
+      back.tokens.every(
+        (token, i) =>
+          token instanceof Token &&
+          token.end === ast.tokens[i].end &&
+          token.indent === ast.tokens[i].indent &&
+          token.isWhiteSpace === ast.tokens[i].isWhiteSpace &&
+          token.s === ast.tokens[i].s
+      )
+    );
+
+    // Nodes are rebuilt, with their fields, values and comments
+    const [$let, $incomplete] = back.exps.filter((exp) => exp instanceof $LET);
+    assert($let.target instanceof $NAME && $let.target.text === "x");
+    assert($let.init.precedence === 0 && $let.init.op.text === "+");
+    assert($let.init.right.left.value === 2);
+    assert($let.target.tokens[0].s === "variable");
+    assert($let.comments[0] === back.tokens[0]);
+    assert($incomplete.comments[0].value === "# b");
+    assert($incomplete.comments[0] === back.exps[4]);
+    assert(
+      back.exps.some(
+        (exp) => exp instanceof $ERROR && exp.error instanceof ASTError
+      )
+    );
+    const errors = (node) =>
+      node
+        .validate()
+        .map(({ line, col, message }) => `${line}:${col} ${message}`);
+    assert(errors(back).join() === errors(ast).join());
+    assert(errors(back)[0] === "3:3 expected a value");
+
+    // Structured cloning, for workers
+    const cloned = $PROGRAM.deserialize(structuredClone(data));
+    assert(describe(cloned) === describe(ast));
+
+    class $OTHER extends $AST {
+      static SHAPE = new Shape($PROGRAM);
+    }
+    const other = $OTHER.parseAll(new Lexer("let a = 1"));
+    assert(
+      errorOf(() => $PROGRAM.deserialize(other.serialize())).message ===
+        "Unknown class $OTHER"
+    );
+    assert($AST.deserialize(other.serialize(), [$OTHER]) instanceof $OTHER);
+    assert(
+      $AST.deserialize(other.serialize(), { $OTHER }).text === "let a = 1"
+    );
+    assert(
+      errorOf(() => $PROGRAM.deserialize({ ...data, version: 2 })).message ===
+        "Unsupported serialization version 2"
+    );
+
+    // Classes of the same name only deserialize by name
+    const word = (regex) =>
+      class $WORD extends $AST {
+        static SHAPE = new Shape(regex);
+      };
+    const [$LOWER, $UPPER] = [word(/[a-z]+/), word(/[A-Z]+/)];
+    class $WORDS extends $AST {
+      static SHAPE = new Shape($LOWER, $UPPER);
+    }
+    const words = $WORDS.parseAll(new Lexer("ab CD")).serialize();
+    assert(
+      errorOf(() => $WORDS.deserialize(words)).message ===
+        "Ambiguous class $WORD, pass the classes by name to deserialize"
+    );
+    const byName = $WORDS.deserialize(words, { $WORD: $LOWER });
+    assert(byName.exps.at(-1) instanceof $LOWER && byName.text === "ab CD");
+  });
+
+  it("error recovery", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $STATEMENT extends $AST {
+      static fallbackToFirstExp = false;
+      static SHAPE = new Shape($NUMBER, "+", $NUMBER, ";");
+    }
+    class $BLOCK extends $AST {
+      static SYNC = [";"];
+      static SHAPE = new Shape("{", $STATEMENT, { min: 0, max: Infinity }, "}");
+    }
+    class $PROGRAM extends $AST {
+      static SYNC = [";"];
+      static SHAPE = new Shape([$BLOCK, $STATEMENT], { min: 1, max: Infinity });
+    }
+
+    const ast = $PROGRAM.parseAll(
+      new Lexer("1 + 2;\n1 + @;\n{ 3 + 4; 5 6; 7 + }\n8 + 9;")
+    );
+    assert(ast.text === "1 + 2;\n1 + @;\n{ 3 + 4; 5 6; 7 + }\n8 + 9;");
+    const errors = ast.errors;
+    assert(errors.length === 3);
+    assert(errors.every((error) => error instanceof ASTError));
+    assert(errors[0].line === 1 && errors[0].col === 4);
+    assert(errors[0].message === 'expected /\\d+/, found "@"');
+    assert(errors[1].line === 2 && errors[1].col === 11);
+    assert(errors[1].message === 'expected "+", found "6"');
+    assert(errors[2].line === 2 && errors[2].col === 18);
+
+    const $block = ast.exps.find((exp) => exp instanceof $BLOCK);
+    assert(
+      $block.contentExps.map((exp) => exp.name || exp.value).join() ===
+        "{,$STATEMENT,$ERROR,$ERROR,}"
+    );
+    assert($block.contentExps[3].text === "7 + ");
+    assert(ast.exps.at(-1) instanceof $STATEMENT);
+    assert(ast.exps[2].validate()[0] === errors[0]);
+
+    class $NO_SYNC extends $AST {
+      static SHAPE = new Shape($STATEMENT, { min: 1, max: Infinity });
+    }
+    const error = errorOf(() => $NO_SYNC.parseAll(new Lexer("1 + 2; 1 + @;")));
+    assert(error instanceof ParseError);
+
+    // Repetitions followed by what the rest of the SHAPE parses end there,
+    // valid input parses the same with SYNC or without
+    class $END extends $AST {
+      static SHAPE = new Shape("end");
+    }
+    const statements = (SYNC) =>
+      class $STATEMENTS extends $AST {
+        static SYNC = SYNC;
+        static SHAPE = new Shape($STATEMENT, { min: 0, max: Infinity }, $END);
+      };
+    const describe = (ast) =>
+      ast.contentExps.map((exp) => exp.name || exp.value).join();
+    [null, [";"]].forEach((SYNC) => {
+      const $STATEMENTS = statements(SYNC);
+      const valid = $STATEMENTS.parseAll(new Lexer("1 + 2; end"));
+      assert(valid instanceof $STATEMENTS && !valid.errors.length);
+      assert(describe(valid) === "$STATEMENT,$END");
+      assert(describe($STATEMENTS.parseAll(new Lexer("end"))) === "$END");
+    });
+    const recovered = statements([";"]).parseAll(new Lexer("1 + 2; 3 4; end"));
+    assert(describe(recovered) === "$STATEMENT,$ERROR,$END");
+    assert(recovered.errors[0].message === 'expected "+", found "4"');
+
+    // Repetitions ending their SHAPE end where the SHAPE around them goes on
+    class $NUMBERS extends $AST {
+      static SYNC = [";"];
+      static SHAPE = new Shape(new Shape(/^\d+/, ";"), { max: Infinity });
+    }
+    class $BRACES extends $AST {
+      static SHAPE = new Shape("{", $NUMBERS, "}");
+    }
+    assert(!$BRACES.parseAll(new Lexer("{1;2;}")).errors.length);
+    const braces = $BRACES.parseAll(new Lexer("{1;@;2;}"));
+    assert(describe(braces.exps[1]) === "1,;,$ERROR,2,;");
+  });
+
+  it("error recovery in indent blocks", () => {
+    class $WORD extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SYNC = [];
+      static SHAPE = new Shape(() => [$STATEMENT, $ASSIGN]);
+    }
+    class $ASSIGN extends $AST {
+      static fallbackToFirstExp = false;
+      static SHAPE = new Shape($WORD, "=", $WORD);
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape("if", $WORD, ":", $BLOCK);
+    }
+    class $PROGRAM extends $AST {
+      static SHAPE = new Shape([$STATEMENT, $ASSIGN], {
+        min: 1,
+        max: Infinity,
+      });
+    }
+
+    const source = "if a:\n  b = c\n  d = = e\n    f\n\n  g = h\nx = y";
+    const ast = $PROGRAM.parseAll(new Lexer(source));
+    assert(ast.text === source);
+    assert(ast.errors.length === 1);
+    assert(ast.errors[0].line === 2 && ast.errors[0].col === 6);
+
+    const $block = ast.exps[0].contentExps.at(-1);
+    assert(
+      $block.contentExps.map((exp) => exp.name).join() ===
+        "$ASSIGN,$ERROR,$ASSIGN"
+    );
+    assert($block.contentExps[1].text.trim() === "d = = e\n    f");
+    assert(ast.exps.at(-1) instanceof $ASSIGN);
+  });
+
+  it("indentation", () => {
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^[a-z]\w*/);
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SHAPE = new Shape(() => $STATEMENT);
+    }
+    class $DEF extends $AST {
+      static SHAPE = new Shape("def", $NAME, { label: "target" }, ":", $BLOCK, {
+        label: "body",
+      });
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape([$DEF, $NAME]);
+    }
+    class $CODE extends $AST {
+      static SHAPE = new Shape($STATEMENT, { min: 0, max: Infinity });
+    }
+    const parse = (source, indentation = {}) =>
+      $CODE.parseAll(
+        new Lexer(source, { trivia: { comments: ["#"] }, indentation })
+      );
+    const errors = (ast) =>
+      ast
+        .validate()
+        .map(({ line, col, message }) => `${line}:${col} ${message}`);
+    const layout = (ast) =>
+      ast.tokens
+        .filter((token) => token.type === "INDENT" || token.type === "DEDENT")
+        .map((token) => `${token.type}@${token.line}:${token.col}`)
+        .join();
+
+    // Zero width INDENT and DEDENT tokens open and close blocks
+    const ast = parse("def f:\n  a\n  def g:\n    b\n  c\nd");
+    assert(layout(ast) === "INDENT@1:2,INDENT@3:4,DEDENT@3:5,DEDENT@4:3");
+    const [body] = ast.query("$DEF > $BLOCK");
+    assert(
+      body.node.exps[0].type === "INDENT" && body.node.contentExps.length === 3
+    );
+    assert(body.node.exps.at(-1).type === "DEDENT" && !body.node.isInline);
+    assert(ast.print() === "def f:\n  a\n  def g:\n    b\n  c\nd");
+    assert(errors(ast).length === 0);
+    assert(layout(parse("def f: a\nb")) === "");
+
+    // Misindented statements stay in the block, with an error
+    const misindented = parse("def f:\n    a\n      b\n  c\nd");
+    assert(misindented.query("$BLOCK $NAME").length === 3);
+    assert(
+      errors(misindented).matches([
+        "2:6 unexpected indent",
+        "3:2 unindent doesn't match an outer indentation level",
+      ])
+    );
+
+    // Blank and comment lines are skipped, whatever their indentation
+    const commented = parse(
+      "x\n    def f:\n# a\n        a\n  # b\n\n        b\n    c"
+    );
+    assert(
+      commented
+        .query("$BLOCK $NAME")
+        .map((p) => p.node.text)
+        .join() === "a,b"
+    );
+    assert(commented.query("$CODE > $STATEMENT").length === 3);
+    assert(errors(commented).length === 0);
+
+    // Tabs and spaces
+    const tabs = "def f:\n\ta\n        b";
+    assert(errors(parse(tabs)).matches(["2:8 unexpected indent"]));
+    assert(errors(parse(tabs, { tabWidth: 8 })).length === 0);
+    assert(
+      errors(parse(tabs, { tabWidth: 8, chars: "tabs" })).matches([
+        "2:8 expected tabs in indentation, found a space",
+      ])
+    );
+    assert(errors(parse("def f:\n\ta\n\tb", { chars: "spaces" })).length === 2);
+    assert(
+      errors(parse("def f:\n  a\n \tb", { allowMixed: false })).matches([
+        "2:2 mixed tabs and spaces in indentation",
+      ])
+    );
+    assert(errors(parse("def f:\r\n  a\r\n  b\r\nc")).length === 0);
+
+    // Errors are kept through serialization
+    const restored = $CODE.deserialize(misindented.serialize());
+    assert(errors(restored).join() === errors(misindented).join());
+  });
+
+  it("streaming", () => {
+    class $WORD extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    class $ENTRY extends $AST {
+      static SHAPE = new Shape($WORD, "=", $WORD);
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SHAPE = new Shape($ENTRY);
+    }
+    class $SECTION extends $AST {
+      static SHAPE = new Shape($WORD, ":", $BLOCK);
+    }
+
+    const parser = new StreamParser($SECTION);
+    assert(parser.push("a:\n  b = c\nd:").length === 0);
+    const [$a] = parser.push("\n  e = f\n  g");
+    assert($a.text === "a:\n  b = c" && $a.line === 0);
+    assert(parser.push(" = h\n").length === 0);
+    const [$d] = parser.push("i:\n");
+    assert($d.text === "\nd:\n  e = f\n  g = h");
+    assert($d.start === 10 && $d.contentTokens[0].line === 2);
+    assert($d.exps.at(-1).exps.at(-1).line === 4);
+    assert(parser.push("  j = k").length === 0);
+    const [$i] = parser.end();
+    assert($i.text === "\ni:\n  j = k" && $i.contentTokens[0].line === 5);
+    assert($i.contentTokens.at(-1).col === 6);
+    assert(parser.end().length === 0);
+
+    let error;
+    const invalid = new StreamParser($SECTION);
+    assert(invalid.push("a:\n  b = c\n").length === 0);
+    assert(invalid.push("d e\n").length === 1);
+    error = errorOf(() => invalid.end());
+    assert(error instanceof ParseError);
+    assert(error.line === 2 && error.col === 2 && error.cursor === 13);
+  });
+
+  it("labels", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^[a-z]+/);
+    }
+    class $LIST extends $AST {
+      static SHAPE = new Shape(
+        "[",
+        $NUMBER,
+        { min: 0, max: Infinity, label: "items" },
+        "]"
+      );
+    }
+    class $ASSIGN extends $AST {
+      static SHAPE = new Shape(
+        $NAME,
+        { label: "target" },
+        ["=", "+="],
+        { label: "op" },
+        [$NUMBER, $LIST],
+        { label: "source" },
+        ";",
+        { min: 0, max: 1, label: "semicolon" }
+      );
+    }
+
+    const ast = $ASSIGN.parseAll(new Lexer("a  +=\n [1 2 3]"));
+    assert(ast.target instanceof $NAME && ast.target.text === "a");
+    assert(ast.op.value === "+=");
+    assert(ast.source instanceof $LIST && ast.semicolon === null);
+    assert(ast.source.items.map((item) => item.text).join() === "1,2,3");
+    assert($LIST.parse(new Lexer("[]")).items.length === 0);
+    assert(Object.keys(ast).every((key) => !["target", "op"].includes(key)));
+    assert(ast.rebuild().source.items.length === 3);
+    const simpleObj = ast.toSimpleObj();
+    assert(simpleObj.exps[0].matches({ name: "$NAME", label: "target" }));
+    assert(simpleObj.exps[2].matches({ value: "+=", label: "op" }));
+
+    class $SUBTRACT extends $AST_LEFT_RECURSIVE {
+      static SHAPE = new Shape($NUMBER, { label: "left" }, "-", $NUMBER, {
+        label: "right",
+      });
+    }
+    const $subtract = $SUBTRACT.parse(new Lexer("3 - 2 - 1"));
+    assert($subtract.right.text === "1" && $subtract.left instanceof $SUBTRACT);
+    assert(
+      $subtract.left.left.text === "3" && $subtract.left.right.text === "2"
+    );
+
+    class $GROUP extends $EXP {
+      static SHAPE = new Shape("(", $ASSIGN, { label: "assign" }, ")");
+    }
+    const $group = $GROUP.parse(new Lexer("(a = 1)"));
+    assert($group instanceof $ASSIGN && $group.text === "(a = 1)");
+    assert($group.target.text === "a" && $group.source.text === "1");
+
+    class $MATH extends $AST_PRECEDENCE {
+      static SHAPE = new Shape($NUMBER);
+      static OPERATORS = [
+        { ops: ["+"] },
+        { ops: ["-"], fixity: "prefix" },
+        { ops: ["!"], fixity: "postfix" },
+      ];
+    }
+    const $math = $MATH.parse(new Lexer("1 + -2!"));
+    assert($math.left.text === "1" && $math.op.value === "+");
+    assert($math.right.op.value === "-" && $math.right.right.op.value === "!");
+    assert($math.right.right.left.text === "2");
+
+    const labeled = (label) =>
+      class $LABELED extends $AST {
+        static SHAPE = new Shape("(", new Shape($NAME, { label }), ")");
+        get names() {
+          return this.exps.filter((exp) => exp.label);
+        }
+      };
+    ["name", "start", "exps", "label"].forEach((label) =>
+      assert(
+        errorOf(() => labeled(label)).message ===
+          `label "${label}" would shadow a property of nodes`
+      )
+    );
+    assert(
+      errorOf(() => labeled("names").parse(new Lexer("(a)"))).message ===
+        '$LABELED: label "names" would shadow a property of nodes'
+    );
+    assert(labeled("first").parse(new Lexer("(a)")).first.text === "a");
+  });
+
+  it("lookahead", () => {
+    class $KEYWORD extends $AST {
+      static SHAPE = new Shape(/^(?:begin|end)\b/);
+    }
+    class $NAME extends $AST {
+      static SHAPE = new Shape(Shape.not($KEYWORD), /^[a-z]+/);
+    }
+    class $CALL extends $AST {
+      static SHAPE = new Shape($NAME, Shape.and("("));
+      static fallbackToFirstExp = false;
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape(Shape.not(new Shape("-", "-")), /^[^;]+/, ";");
+    }
+    class $BLOCK extends $AST {
+      static SHAPE = new Shape(
+        "begin",
+        $STATEMENT,
+        { min: 0, max: Infinity, label: "statements" },
+        "end"
+      );
+    }
+
+    assert($NAME.parse(new Lexer("end")) === null);
+    assert($NAME.parse(new Lexer("ending")).text === "ending");
+    const _ = new Lexer("f (x)");
+    assert($CALL.parse(_).text === "f" && _.cursor === 1);
+    assert($CALL.parse(new Lexer("f x")) === null);
+
+    const $block = $BLOCK.parse(new Lexer("begin a; b c; end"));
+    assert(
+      $block.statements.length === 2 && $block.exps.at(-1).value === "end"
+    );
+    assert($STATEMENT.parse(new Lexer("- - 1;")) === null);
+    assert($STATEMENT.parse(new Lexer("-1;")).text === "-1;");
+
+    const error = errorOf(() => $CALL.parseAll(new Lexer("f")));
+    assert(error.expected.join() === '&"("', error.expected.join());
+
+    // Parses while looking ahead aren't cached, caching keeps the errors
+    const $TERMS = [() => $APPLY, $NAME, /^\d+/];
+    class $APPLY extends $AST {
+      static SHAPE = new Shape($NAME, "(", () => $SUM, ")");
+      static fallbackToFirstExp = false;
+    }
+    class $SUM extends $AST {
+      static SHAPE = new Shape($TERMS, new Shape(["+", "*"], $TERMS), {
+        min: 0,
+        max: Infinity,
+      });
+    }
+    class $EXPRESSION extends $AST {
+      static SHAPE = new Shape(Shape.not(new Shape($SUM, "=")), $SUM, ";");
+    }
+    ["f(g(1)+", "f(1;"].forEach((source) => {
+      const [uncached, cached] = [false, true].map(
+        (useCache) =>
+          errorOf(() => $EXPRESSION.parseAll(new Lexer(source, { useCache })))
+            .message
+      );
+      assert(cached === uncached, cached);
+    });
+    assert(
+      errorOf(() => $EXPRESSION.parseAll(new Lexer("f(1;"))).expected.join() ===
+        '"+","*",")"'
+    );
+
+    class $LOOP extends $AST {
+      static SHAPE = new Shape(
+        Shape.and(() => $LOOP),
+        "x"
+      );
+    }
+    assert(
+      new GrammarAnalyzer($LOOP).analyze()[0].message ===
+        "$LOOP: left recursion $LOOP -> $LOOP"
+    );
+  });
+
+  it("keywords", () => {
+    const keywords = new Keywords(["if", "in", "int"]);
+    class $NAME extends $AST {
+      static SHAPE = new Shape(keywords.identifier(/^[a-z]\w*/));
+    }
+    class $IF extends $AST {
+      static SHAPE = new Shape(keywords.keyword("if"), $NAME);
+    }
+    class $KEYWORD extends $AST {
+      static SHAPE = new Shape(keywords.any());
+    }
+
+    assert($IF.parse(new Lexer("if x")).text === "if x");
+    assert($IF.parse(new Lexer("ifdef x")) === null);
+    ["if", "in", "int"].forEach((word) =>
+      assert($NAME.parse(new Lexer(word)) === null, word)
+    );
+    ["iffy", "into", "x"].forEach((word) =>
+      assert($NAME.parse(new Lexer(word)).text === word, word)
+    );
+    assert($KEYWORD.parse(new Lexer("int")).text === "int");
+    assert($KEYWORD.parse(new Lexer("integer")) === null);
+    assert(!keywords.has("IF"));
+
+    assert(errorOf(() => keywords.keyword("x")).message.includes("keyword"));
+    const expected = (source) =>
+      errorOf(() => $IF.parseAll(new Lexer(source))).expected.join();
+    assert(expected("if in") === "/[a-z]\\w*/", expected("if in"));
+    assert(expected("ifx") === '"if"', expected("ifx"));
+  });
+
+  it("case insensitive keywords", () => {
+    const keywords = new Keywords(["select", "from"], { ignoreCase: true });
+    const name = keywords.identifier(/^[a-z_]\w*/);
+    class $QUERY extends $AST {
+      static SHAPE = new Shape(
+        keywords.keyword("SELECT"),
+        name,
+        keywords.keyword("from"),
+        name
+      );
+    }
+
+    assert(
+      $QUERY.parse(new Lexer("SELECT a FROM b")).text === "SELECT a FROM b"
+    );
+    assert(
+      $QUERY.parse(new Lexer("Select a from b")).text === "Select a from b"
+    );
+    assert($QUERY.parse(new Lexer("select from from b")) === null);
+    // Only the keywords are case insensitive
+    assert($QUERY.parse(new Lexer("select A from b")) === null);
+    assert(keywords.has("FROM"));
+  });
+
+  it("actions", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/, { label: "digits", action: Number });
+      static ACTION = ({ digits }) => digits;
+    }
+    class $SUM extends $AST_LEFT_RECURSIVE {
+      static SHAPE = new Shape(
+        () => $ATOM,
+        { label: "left" },
+        ["+", "-"],
+        { label: "op" },
+        () => $ATOM,
+        { label: "right" }
+      );
+      static ACTION = ({ left, op, right }) =>
+        op === "+" ? left + right : left - right;
+    }
+    class $GROUP extends $EXP {
+      static SHAPE = new Shape("(", $SUM, ")");
+    }
+    // No ACTION, the value of its only content exp
+    class $ATOM extends $AST {
+      static SHAPE = new Shape([$NUMBER, $GROUP]);
+    }
+    class $LIST extends $AST {
+      static SHAPE = new Shape(
+        "[",
+        /^\d+/,
+        { label: "items", action: Number, min: 0, max: Infinity },
+        "]"
+      );
+      static ACTION = ({ items }, node) => ({ items, text: node.text });
+    }
+
+    const $sum = $SUM.parse(new Lexer("10 - (2 + 3) - 1"));
+    assert($sum.value === 4);
+    assert($sum.left.value === 5 && $sum.right.text === "1");
+    assert(!Object.keys($sum).includes("value"));
+    assert($sum.rebuild().value === 4);
+    assert($ATOM.parse(new Lexer("7")).value === undefined);
+    assert($LIST.parse(new Lexer("[1 2]")).value.items.join() === "1,2");
+
+    class $PAIR extends $AST {
+      static SHAPE = new Shape($NUMBER, ",", $NUMBER);
+    }
+    // No ACTION and several content exps, the text
+    assert($SUM.evaluate(new Lexer("1 + 1")) === 2);
+    assert($PAIR.evaluate(new Lexer("1 , 2")) === "1 , 2");
+
+    // ACTIONs run whenever a node is built, backtracked or not
+    let runs = 0;
+    const counted = (useCache) =>
+      class $COUNTED extends $AST {
+        static SHAPE = new Shape(/^\d+/);
+        static useCache = useCache;
+        static ACTION = (fields, node) => {
+          runs++;
+          return Number(node.text);
+        };
+      };
+    const statement = ($COUNTED) =>
+      class $STATEMENT extends $AST {
+        static SHAPE = new Shape([new Shape($COUNTED, ";"), $COUNTED], {
+          label: "number",
+        });
+      };
+    const $STATEMENT = statement(counted(false));
+    const { number } = $STATEMENT.parse(new Lexer("7"));
+    assert(runs === 2 && number.value === 7 && runs === 2);
+    assert(number.rebuild().value === 7 && runs === 3);
+    assert($STATEMENT.evaluate(new Lexer("7")) === 7 && runs === 5);
+    runs = 0;
+    assert(statement(counted(true)).parse(new Lexer("7")).number.value === 7);
+    assert(runs === 1);
+
+    // Values are built with the nodes, however deeply they're nested
+    class $CHAIN extends $AST_PRECEDENCE {
+      static SHAPE = new Shape($NUMBER);
+      static OPERATORS = [{ ops: ["+"] }];
+      static ACTION = ({ left, right }) => left + right;
+    }
+    const chain = Array(3000).fill("1").join(" + ");
+    assert($CHAIN.parseAll(new Lexer(chain)).value === 3000);
+    assert($CHAIN.evaluate(new Lexer(chain)) === 3000);
+
+    assert(
+      errorOf(() => new Shape($NUMBER, { label: "value" })).message ===
+        'label "value" would shadow a property of nodes'
+    );
+  });
+
+  it("evaluate", () => {
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+      static ACTION = (fields, node) => Number(node.text);
+    }
+    class $MATH extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$NUMBER, () => $PARENS]);
+      static OPERATORS = [
+        { ops: ["+", "-"] },
+        { ops: ["*"] },
+        { ops: ["-"], fixity: "prefix" },
+      ];
+      static ACTION = ({ left, op, right }) => {
+        if (left === null) return -right;
+        if (op === "+") return left + right;
+        return op === "-" ? left - right : left * right;
+      };
+    }
+    class $PARENS extends $EXP {
+      static SHAPE = new Shape("(", $MATH, ")");
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape($MATH, { label: "math" });
+      static ACTION = ({ math }) => math;
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SHAPE = new Shape($STATEMENT, { label: "statements" });
+      static ACTION = ({ statements }) => statements;
+    }
+    class $PRINT extends $AST {
+      static SHAPE = new Shape("print", $BLOCK, { label: "block" });
+      static ACTION = ({ block }) => block.join(" ");
+    }
+
+    const source = "1 + 2 * -(3 - 1)";
+    assert($MATH.evaluate(new Lexer(source)) === -3);
+    assert($MATH.parseAll(new Lexer(source)).value === -3);
+    assert($PRINT.evaluate(new Lexer("print\n  1 + 1\n  2 * 3")) === "2 6");
+
+    let error = errorOf(() => $MATH.evaluate(new Lexer("1 +")));
+    assert(error instanceof ParseError && error.expected.includes("/\\d+/"));
+    error = errorOf(() => $MATH.evaluate(new Lexer("1 2")));
+    assert(error.expected.includes("end of input"));
+
+    // Nothing is built while evaluating
+    const _ = new Lexer(source);
+    _.evaluating = true;
+    const result = $MATH.parse(_);
+    assert(!(result instanceof $AST) && result.value === -3);
+    assert(
+      result.exps.every((exp) => !(exp instanceof Token || exp instanceof $AST))
+    );
+  });
+
+  useTests("types", () => {
+    const NUMBER = new TypePrimitive("number");
+    const STRING = new TypePrimitive("string");
+
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+      getType() {
+        return NUMBER;
+      }
+    }
+    class $STRING extends $AST {
+      static SHAPE = new Shape(/^"[^"]*"/);
+      getType() {
+        return STRING;
+      }
+    }
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^[a-z]\w*/);
+      getType(env) {
+        return env.lookup(this.text) || new TypeUnknown();
+      }
+      validate(env) {
+        if (env.has(this.text)) return [];
+        return [new ASTError(this.line, this.col, `undefined ${this.text}`)];
+      }
+    }
+    class $SUM extends $AST {
+      static SHAPE = new Shape(
+        [$NUMBER, $STRING, $NAME],
+        { label: "left" },
+        "+",
+        [$NUMBER, $STRING, $NAME],
+        { label: "right" }
+      );
+      static fallbackToFirstExp = true;
+      getType() {
+        return NUMBER;
+      }
+      validate(env) {
+        return [
+          ...super.validate(env),
+          ...this.left.expectType(env, NUMBER),
+          ...this.right.expectType(env, NUMBER),
+        ];
+      }
+    }
+    class $LET extends $AST {
+      static SHAPE = new Shape("let", $NAME, { label: "target" }, "=", $SUM, {
+        label: "init",
+      });
+      validate(env) {
+        const errors = this.init.validate(env);
+        env.define(this.target.text, this.init.getType(env));
+        return errors;
+      }
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SHAPE = new Shape(() => $STATEMENT);
+    }
+    class $DEF extends $AST {
+      static SHAPE = new Shape("def", $NAME, { label: "target" }, $BLOCK);
+      validate(env) {
+        env.define(this.target.text, new TypeFunction([], NUMBER));
+        return super.validate(env);
+      }
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape([$DEF, $LET, $SUM]);
+    }
+    class $CODE extends $AST {
+      static SHAPE = new Shape($STATEMENT, { min: 0, max: Infinity });
+    }
+
+    it("types", () => {
+      const f = new TypeFunction([NUMBER], STRING);
+      const either = TypeUnion.of(NUMBER, STRING, NUMBER);
+
+      assert(`${either}` === "number | string");
+      assert(TypeUnion.of(NUMBER) === NUMBER);
+      assert(
+        `${TypeUnion.of(either, new TypePrimitive("bool"))}` ===
+          "number | string | bool"
+      );
+      assert(either.accepts(NUMBER) && either.accepts(either));
+      assert(!NUMBER.accepts(either) && !NUMBER.accepts(STRING));
+      assert(NUMBER.accepts(new TypeUnknown()));
+      assert(new TypeUnknown().accepts(either));
+      assert(NUMBER.accepts(new TypePrimitive("number")));
+      assert(`${f}` === "(number) => string");
+      // Parameters are contravariant, return types covariant
+      assert(f.accepts(new TypeFunction([either], STRING)));
+      assert(!f.accepts(new TypeFunction([STRING], STRING)));
+      assert(!new TypeFunction([either], STRING).accepts(f));
+      assert(!f.accepts(new TypeFunction([], STRING)));
+      assert(new Type().equals(new Type()));
+    });
+
+    it("env", () => {
+      const env = new TypeEnv();
+      env.define("x", NUMBER);
+      const scope = env.scope();
+      scope.define("x", STRING);
+      scope.define("y");
+
+      assert(scope.lookup("x") === STRING && env.lookup("x") === NUMBER);
+      assert(scope.lookup("y") instanceof TypeUnknown);
+      assert(!env.has("y") && env.lookup("y") === null);
+    });
+
+    it("getType and validate", () => {
+      const messages = (source) =>
+        $CODE
+          .parse(new Lexer(source))
+          .validate()
+          .map((e) => `${e.line}:${e.col} ${e.message}`);
+
+      assert(messages("let x = 1 + 2\nlet y = x + 1").length === 0);
+      assert(
+        messages('let s = "a" + 1\nlet t = s + "b"').join() ===
+          "0:8 expected number, found string,1:12 expected number, found string"
+      );
+      assert(messages("let x = y + 1").join() === "0:8 undefined y");
+      // Blocks are scopes
+      assert(
+        messages("def f\n  let x = 1 + 1\n  x + f\nx + 1").join() ===
+          "2:6 expected number, found () => number,3:0 undefined x",
+        messages("def f\n  let x = 1 + 1\n  x + f\nx + 1").join()
+      );
+      const $sum = $SUM.parse(new Lexer("x + 1"));
+      const env = new TypeEnv();
+      env.define("x", STRING);
+      assert($sum.left.getType(env) === STRING);
+      assert($sum.getType(env) === NUMBER);
+      assert($STATEMENT.parse(new Lexer("1 + 1")).getType() === NUMBER);
+    });
+
+    class $LETS extends $LET {
+      static SAMPLES_INVALID = [
+        { source: "let a = 1\nlet b = a", errors: [] },
+        {
+          source: 'let a = "x"\nlet b = a + 1',
+          errors: [new ASTError(1, 8, "expected number, found string")],
+        },
+      ];
+    }
+    $LETS.testInvalid("", null, $CODE);
+  });
+
+  it("symbol tables", () => {
+    class $NAME extends $AST {
+      static SHAPE = new Shape(/^[a-z]\w*/);
+      static REFERENCE = true;
+    }
+    class $LET extends $AST {
+      static SHAPE = new Shape("let", $NAME, { label: "target" }, "=", $NAME);
+      static DECLARES = "target";
+    }
+    class $BLOCK extends $INDENT_BLOCK {
+      static SHAPE = new Shape(() => $STATEMENT);
+    }
+    // Parameters are declared in the scope of their function
+    class $PARAM extends $AST {
+      static SHAPE = new Shape(/^\w+/, { label: "param" });
+      static DECLARES = "param";
+    }
+    class $DEF extends $AST {
+      static SHAPE = new Shape(
+        "def",
+        $NAME,
+        { label: "target" },
+        "(",
+        $PARAM,
+        { min: 0, max: Infinity },
+        ")",
+        $BLOCK
+      );
+      static DECLARES = "target";
+      static SCOPE = true;
+    }
+    class $STATEMENT extends $AST {
+      static SHAPE = new Shape([$DEF, $LET, $NAME]);
+    }
+    class $CODE extends $AST {
+      static SHAPE = new Shape($STATEMENT, { min: 0, max: Infinity });
+    }
+
+    const source = [
+      "let a = b",
+      "def f(x)",
+      "  let a = x",
+      "  a",
+      "  f",
+      "let b = a",
+      "c",
+    ].join("\n");
+    const ast = $CODE.parse(new Lexer(source));
+    const table = new SymbolTable(ast);
+
+    assert(table.scope instanceof Scope && table.scope.node === ast);
+    assert(table.scope.children.length === 1);
+    assert(table.scope.children[0].node instanceof $DEF);
+    assert(table.scope.children[0].children[0].node instanceof $BLOCK);
+    assert(table.bindings.every((b) => b instanceof Binding));
+    assert(
+      table.bindings.map((b) => b.name).join() === "a,f,x,a,b",
+      table.bindings.map((b) => b.name).join()
+    );
+    assert(table.unresolved.map((node) => node.text.trim()).join() === "c");
+
+    const [a, f, x, innerA, b] = table.bindings;
+    // b is used before it's declared, the a of the block shadows the outer a
+    assert(table.definitionAt(0, 8) === b.declaration);
+    assert(table.definitionAt(3, 2) === innerA.declaration);
+    assert(table.definitionAt(4, 3) === f.declaration);
+    assert(table.definitionAt(5, 8) === a.declaration);
+    assert(table.definitionAt(2, 10) === x.declaration);
+    assert(table.definitionAt(1, 6) === x.declaration);
+    assert(table.definitionAt(6, 0) === null);
+    assert(table.definitionAt(1, 0) === null);
+    assert(x.node instanceof $PARAM && x.scope === table.scope.children[0]);
+    assert(f.node instanceof $DEF && f.scope === table.scope);
+
+    const lines = (exps) => exps.map((exp) => exp.line).join();
+    assert(lines(table.referencesAt(0, 4)) === "0,5");
+    assert(lines(table.referencesAt(3, 2)) === "2,3");
+    assert(lines(table.referencesAt(1, 4)) === "1,4");
+    assert(
+      lines(table.referencesAt(2, 6, { includeDeclaration: false })) === "3"
+    );
+    assert(table.referencesAt(6, 0).length === 0);
+    assert(table.bindingAt(1, 5) === f);
+  });
+
+  useTests("queries", () => {
+    class $IDENT extends $AST {
+      static SHAPE = new Shape(/^[a-z]\w*/);
+    }
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $GROUP extends $AST {
+      static SHAPE = new Shape("(", () => $EXPR, ")");
+    }
+    class $CALL extends $AST {
+      static fallbackToFirstExp = false;
+      static SHAPE = new Shape(
+        [$IDENT, $GROUP],
+        { label: "callee" },
+        "(",
+        () => $ARGS,
+        { min: 0, max: 1, label: "args" },
+        ")"
+      );
+    }
+    class $EXPR extends $AST_PRECEDENCE {
+      static SHAPE = new Shape([$CALL, $IDENT, $NUMBER, $GROUP]);
+      static OPERATORS = [{ ops: ["+"] }];
+    }
+    class $ARGS extends $AST {
+      static SHAPE = new Shape(
+        $EXPR,
+        { label: "items" },
+        new Shape(",", $EXPR, { label: "items" }),
+        { min: 0, max: Infinity }
+      );
+    }
+    const ast = $EXPR.parseAll(new Lexer("f(a, g(1) + b) + (h)(2)"));
+    const texts = (selector) =>
+      ast.query(selector).map((path) => path.node.text.trim());
+
+    it("nodeAt", () => {
+      const path = ast.nodeAt(7);
+      assert(path instanceof ASTPath && path.node instanceof $NUMBER);
+      assert(
+        path.ancestors.map((node) => node.name).join(">") ===
+          "$EXPR>$CALL>$ARGS>$EXPR>$CALL>$ARGS"
+      );
+      assert(path.parent.text === "1");
+      // The exp starting at the offset wins over the one ending there
+      assert(ast.nodeAt(1).node instanceof $CALL);
+      assert(ast.nodeAt(0).node instanceof $IDENT);
+      assert(ast.nodeAt(2).node.text === "a");
+      // Trivia belongs to the node around it
+      assert(ast.nodeAt(4).node instanceof $ARGS);
+      assert(ast.nodeAt(23).node.text === "(h)(2)");
+      assert(ast.nodeAt(24) === null && ast.nodeAt(-1) === null);
+    });
+
+    it("query", () => {
+      assert(texts("$CALL").join("|") === "f(a, g(1) + b)|g(1)|(h)(2)");
+      assert(
+        texts("$CALL:has(> $IDENT.callee)").join("|") === "f(a, g(1) + b)|g(1)"
+      );
+      assert(texts("$CALL:not(:has(> $IDENT.callee))").join() === "(h)(2)");
+      assert(texts("$CALL > $IDENT").join() === "f,g");
+      assert(texts("$ARGS $IDENT").join() === "a,g,b");
+      assert(texts("$ARGS > $EXPR $IDENT").join() === "g,b");
+      assert(texts("$ARGS>$EXPR").join() === "g(1) + b");
+      assert(texts(".callee").join() === "f,g,(h)");
+      assert(texts("$CALL .items").join("|") === "a|g(1) + b|1|2");
+      assert(
+        texts('$EXPR[op="+"]').join("|") === "f(a, g(1) + b) + (h)(2)|g(1) + b"
+      );
+      assert(texts("$EXPR[op]").length === 2);
+      assert(texts("$IDENT[text^=g], $NUMBER[text=2]").join() === "g,2");
+      assert(texts("$IDENT[text*='h'], $IDENT[text$=b]").join() === "b,h");
+      assert(texts("$IDENT + Token").join() === "(,,,(,)");
+      assert(texts("$IDENT ~ $EXPR").join() === "g(1) + b");
+      assert(texts("$GROUP:is($CALL > *)").join() === "(h)");
+      assert(texts("$AST_PRECEDENCE $NUMBER").join() === "1,2");
+      assert(
+        texts("*").length ===
+          ast.query("$EXPR, $CALL, $IDENT, $NUMBER, $GROUP, $ARGS, Token")
+            .length
+      );
+
+      const [path] = ast.query("$NUMBER");
+      assert(
+        path.parent instanceof $ARGS && path.parentPath.parent instanceof $CALL
+      );
+      assert(new Selector("$IDENT").query(ast).length === 5);
+    });
+
+    it("invalid selectors", () => {
+      const selectorError = (selector) => errorOf(() => new Selector(selector));
+      assert(selectorError("") instanceof ParseError);
+      assert(selectorError("$A$B") instanceof ParseError);
+      assert(selectorError("$A[") instanceof ParseError);
+      assert(selectorError(":has($A") instanceof ParseError);
+      assert(
+        selectorError("> $A").message ===
+          '1:1 ">" only starts selectors in :has()'
+      );
+      assert(!selectorError(" $A >  $B , :has( > .b ) "));
+    });
+  });
+});
+
+useTests("Grammar", () => {
+  const show = (exp) =>
+    exp.TOKEN
+      ? exp.value
+      : `${exp.name}(${exp.contentExps.map(show).join(" ")})`;
+
+  it("compiles rules into classes", () => {
+    const grammar = new Grammar(`
+      # arithmetic
+      SUM = SUM "+" PRODUCT | SUM "-" PRODUCT | PRODUCT
+      PRODUCT = PRODUCT ("*" | "/") ATOM | ATOM
+      ATOM = NUMBER | "(" SUM ")" | LIST
+      LIST = "[" (NUMBER ("," NUMBER)*)? "]"
+      NUMBER = /\\d+/ // digits
+    `);
+    const { $SUM, $PRODUCT, $LIST, $NUMBER } = grammar.classes;
+
+    assert(grammar.start === $SUM && $SUM.name === "$SUM");
+    assert($SUM.prototype instanceof $AST_LEFT_RECURSIVE);
+    assert(!($LIST.prototype instanceof $AST_LEFT_RECURSIVE));
+    assert($NUMBER.parse(new Lexer("42")) instanceof $NUMBER);
+    assert(
+      show(grammar.parse("1 - 2 * 3 - 4")) ===
+        "$SUM($SUM($ATOM($NUMBER(1)) - $PRODUCT($ATOM($NUMBER(2)) * $ATOM($NUMBER(3)))) - $ATOM($NUMBER(4)))"
+    );
+    assert(
+      show(grammar.parse("(1)/[]")) ===
+        "$PRODUCT($ATOM(( $ATOM($NUMBER(1)) )) / $ATOM($LIST([ ])))"
+    );
+    assert(
+      show($LIST.parseAll(new Lexer("[1, 2]"))) ===
+        "$LIST([ $NUMBER(1) , $NUMBER(2) ])"
+    );
+    assert(grammar.parse(" 1 +\n 2 ").text === " 1 +\n 2 ");
+    assert($PRODUCT.parse(new Lexer("1 +")).text === "1");
+
+    const error = errorOf(() => grammar.parse("1 +"));
+    assert(error instanceof ParseError);
+    assert(error.expected.join() === '/\\d+/,"(","["');
+  });
+
+  it("extend", () => {
+    class $VALUE extends $AST {
+      get value() {
+        return Number(this.text);
+      }
+    }
+    const { $LIST } = new Grammar(
+      `LIST = NUMBER+
+       NUMBER = /\\d+/`,
+      { extend: { NUMBER: $VALUE } }
+    ).classes;
+    const ast = $LIST.parseAll(new Lexer("1 2 3"));
+    assert(ast.contentExps.map((exp) => exp.value).join() === "1,2,3");
+    assert(ast.contentExps[0] instanceof $VALUE);
+  });
+
+  it("invalid grammars", () => {
+    const grammarError = (source) => errorOf(() => new Grammar(source));
+    assert(grammarError(`A = "x" |`) instanceof ParseError);
+    assert(grammarError(`A = "a"\nB = C`).message === '2:5 undefined rule "C"');
+    assert(grammarError(`A = "a"\nA = "b"`).message.includes("more than once"));
+    assert(grammarError(`A = A "a"`).message.includes("left recursive"));
+  });
+
+  it("analyze", () => {
+    const messages = (issues) => issues.map((issue) => issue.message);
+
+    class $NUMBER extends $AST {
+      static SHAPE = new Shape(/^\d+/);
+    }
+    class $DIRECT extends $AST {
+      static SHAPE = new Shape(() => $DIRECT, "+", $NUMBER);
+    }
+    class $A extends $AST {
+      static SHAPE = new Shape(/^-?/, () => $B);
+    }
+    class $B extends $AST {
+      static SHAPE = new Shape([$NUMBER, "(", $A]);
+    }
+    class $LIST extends $AST {
+      static SHAPE = new Shape(/^[a-z]*/, { min: 0, max: Infinity });
+    }
+    class $COMPARE extends $AST {
+      static SHAPE = new Shape($NUMBER, ["<", "<=", /^[a-z]+/, "in"], $NUMBER);
+    }
+    class $MISSING extends $AST {
+      static SHAPE = new Shape("(", () => undefined, ")");
+    }
+    class $UNUSED extends $AST {
+      static SHAPE = new Shape("?");
+    }
+    class $ROOT extends $AST {
+      static SHAPE = new Shape([$DIRECT, $A, $LIST, $COMPARE, $MISSING]);
+    }
+
+    const issues = new GrammarAnalyzer($ROOT, {
+      classes: [$ROOT, $NUMBER, $UNUSED],
+    }).analyze();
+    assert(issues.every((issue) => issue instanceof GrammarIssue));
+    assert(
+      issues.map((issue) => issue.type).join() ===
+        [
+          "undefined-rule",
+          "left-recursion",
+          "left-recursion",
+          "nullable-repetition",
+          "shadowed-alternative",
+          "shadowed-alternative",
+          "shadowed-alternative",
+          "unreachable-rule",
+        ].join(),
+      issues.map((issue) => issue.type).join()
+    );
+    assert(
+      messages(issues).join("\n") ===
+        [
+          "$MISSING: references an undefined rule",
+          "$DIRECT: left recursion $DIRECT -> $DIRECT",
+          "$A: left recursion $A -> $B -> $A",
+          "$LIST: repetition of /[a-z]*/ can match empty input",
+          "$ROOT: $LIST can match empty input, the alternatives after it are never tried",
+          '$COMPARE: "<=" is never tried, "<" matches first',
+          '$COMPARE: "in" is never tried, /[a-z]+/ matches first',
+          "$UNUSED: isn't reachable from $ROOT",
+        ].join("\n"),
+      messages(issues).join("\n")
+    );
+    assert(issues.at(-1).rule === $UNUSED);
+
+    assert(
+      new GrammarAnalyzer($COMPARE).analyze().length === 2 &&
+        new GrammarAnalyzer($NUMBER).analyze().length === 0
+    );
+  });
+
+  it("analyze grammars", () => {
+    const grammar = new Grammar(`
+      SUM = SUM "+" ATOM | ATOM
+      ATOM = /\d+/ | "(" SUM ")"
+    `);
+    assert(grammar.analyze().length === 0);
+    assert(
+      messages(
+        new Grammar(`
+          OP = "=" | "==" | "!="
+          UNUSED = "x"
+        `).analyze()
+      ).join("\n") ===
+        '$OP: "==" is never tried, "=" matches first\n$UNUSED: isn\'t reachable from $OP'
+    );
+
+    function messages(issues) {
+      return issues.map((issue) => issue.message);
+    }
+  });
+
+  it("labels", () => {
+    const { $ASSIGN, $SUM } = new Grammar(`
+      ASSIGN = target:NAME "=" source:SUM semicolon:";"?
+      SUM = left:SUM op:("+" | "-") right:NUMBER | NUMBER
+      NAME = /[a-z]+/
+      NUMBER = /\\d+/
+    `).classes;
+    const ast = $ASSIGN.parseAll(new Lexer("x = 1 + 2 - 3"));
+    assert(ast.target.text === "x" && ast.semicolon === null);
+    assert(ast.source instanceof $SUM && ast.source.op.value === "-");
+    assert(ast.source.left.left.text === "1" && ast.source.right.text === "3");
+  });
+
+  it("lookahead", () => {
+    const grammar = new Grammar(`
+      CALLS = (!"end" CALL)* "end"
+      CALL = NAME &"(" ARGS
+      ARGS = "(" NAME? ")"
+      NAME = !KEYWORD /[a-z]+/
+      KEYWORD = /(?:end|if)\\b/
+    `);
+    assert(grammar.parse("f() g(x) end").text === "f() g(x) end");
+    assert(grammar.classes.$NAME.parse(new Lexer("if")) === null);
+    assert(grammar.classes.$NAME.parse(new Lexer("iffy")).text === "iffy");
+    assert(grammar.analyze().length === 0);
+  });
+
+  it("keywords", () => {
+    const grammar = new Grammar(
+      `
+      STATEMENT = "if" NAME "then" NAME | NAME "=" NUMBER
+      NAME = /[a-z]\\w*/
+      NUMBER = /\\d+/
+    `,
+      { keywords: ["if", "then"] }
+    );
+    const parseError = (grammar, source) =>
+      errorOf(() => grammar.parse(source));
+    assert(grammar.keywords instanceof Keywords);
+    assert(grammar.parse("if x then y").text === "if x then y");
+    assert(grammar.parse("iffy = 1").text === "iffy = 1");
+    assert(parseError(grammar, "if then then y") instanceof ParseError);
+    assert(parseError(grammar, "ifx then y") instanceof ParseError);
+
+    const sql = new Grammar(`QUERY = "select" /[a-z]+/`, {
+      keywords: new Keywords(["select"], { ignoreCase: true }),
+    });
+    assert(sql.parse("SELECT a").text === "SELECT a");
+    assert(parseError(sql, "select select") instanceof ParseError);
+  });
+
+  it("actions", () => {
+    const grammar = new Grammar(
+      `
+      SUM     = left:SUM op:("+" | "-") right:PRODUCT | PRODUCT
+      PRODUCT = left:PRODUCT "*" right:ATOM | ATOM
+      ATOM    = NUMBER | "(" SUM ")"
+      NUMBER  = /\\d+/
+    `,
+      {
+        actions: {
+          SUM: ({ left, op, right }) =>
+            op === "+" ? left + right : left - right,
+          PRODUCT: ({ left, right }) => left * right,
+          ATOM: (fields, node) => node.exps.find((exp) => exp.AST).value,
+          NUMBER: (fields, node) => Number(node.text),
+        },
+      }
+    );
+    assert(grammar.evaluate("2 * (3 + 4) - 1") === 13);
+    assert(grammar.parse("2 * (3 + 4) - 1").value === 13);
+  });
+});
+
+useTests("GrammarTester", () => {
+  const keywords = new Keywords(["def"]);
+  class $NUMBER extends $AST {
+    static SHAPE = new Shape(/\d+(\.\d{1,2})?/);
+  }
+  class $NAME extends $AST {
+    static SHAPE = new Shape(keywords.identifier(/[a-z_]\w*/));
+  }
+  class $STRING extends $AST {
+    static SHAPE = new Shape(/"(?:[^"\\]|\\.)*"/);
+  }
+  class $GROUP extends $AST {
+    static SHAPE = new Shape("(", () => $EXPR, ")");
+  }
+  class $EXPR extends $AST_PRECEDENCE {
+    static SHAPE = new Shape([$NUMBER, $NAME, $STRING, $GROUP]);
+    static OPERATORS = [
+      { ops: ["+", "-"] },
+      { ops: ["*"] },
+      { ops: ["-"], fixity: "prefix" },
+    ];
+  }
+  class $BLOCK extends $INDENT_BLOCK {
+    static SHAPE = new Shape(() => $STATEMENT);
+  }
+  class $DEF extends $AST {
+    static SHAPE = new Shape("def", $NAME, ":", $BLOCK);
+  }
+  class $STATEMENT extends $AST {
+    static SHAPE = new Shape([$DEF, $EXPR]);
+  }
+  class $CODE extends $AST {
+    static SHAPE = new Shape($STATEMENT, { min: 0, max: Infinity });
+  }
+  it("snapshots", () => {
+    const tester = new GrammarTester($CODE);
+    const snapshot = tester.assertSnapshot("1 + x", {
+      name: "$CODE",
+      exps: [
+        {
+          name: "$STATEMENT",
+          exps: [
+            {
+              name: "$EXPR",
+              exps: [
+                { name: "$NUMBER", label: "left" },
+                { value: "+", col: 2 },
+                { exps: [{ value: "x" }] },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+    assert(snapshot.lineEnd === 0 && snapshot.exps[0].exps[0].s === "");
+
+    const error = errorOf(() =>
+      tester.assertSnapshot("1 + x", {
+        exps: [{ exps: [{ exps: [{}, {}] }] }],
+      })
+    );
+    assert(error instanceof GrammarTestError && error.type === "snapshot");
+    assert(error.reason === "exps[0].exps[0].exps.length: expected 2, found 3");
+    assert(error.source === "1 + x");
+    assert(
+      errorOf(() =>
+        tester.assertSnapshot("1 - x", { exps: [{ name: "$EXPR" }] })
+      ).reason === 'exps[0].name: expected "$EXPR", found "$STATEMENT"'
+    );
+
+    // Trivia is left out unless asked for
+    const source = "def f:\n  x";
+    assert(tester.snapshot(source).exps[0].exps[0].exps.length === 4);
+    assert(
+      new GrammarTester($CODE, { trivia: true }).snapshot(source).exps[0]
+        .exps[0].exps.length === 7
+    );
+    assert(tester.snapshot("2", $NUMBER).name === "$NUMBER");
+  });
+
+  it("rejected sources", () => {
+    const tester = new GrammarTester($CODE);
+    const parseError = tester.assertRejects("1 +", {
+      line: 0,
+      col: 3,
+      found: "end of input",
+    });
+    assert(parseError instanceof ParseError);
+    assert(
+      tester.assertRejects("(1 + 2", {
+        col: 6,
+        expected: ['"*"', '"+"', '"-"', '")"'],
+      }) instanceof ParseError
+    );
+
+    const misplaced = errorOf(() =>
+      tester.assertRejects("1 +", { line: 0, col: 2 })
+    );
+    assert(misplaced.type === "parse-error");
+    assert(misplaced.reason === "col: expected 2, found 3");
+    assert(misplaced.cause instanceof ParseError);
+    const parsed = errorOf(() => tester.assertRejects("1 + 2"));
+    assert(parsed.reason === "expected a ParseError, parsed $CODE");
+  });
+
+  it("generation", () => {
+    const tester = new GrammarTester($CODE);
+    assert(tester.generate() === tester.generate());
+    assert(tester.generate($CODE, 2) !== tester.generate($CODE, 3));
+    for (let seed = 0; seed < 20; seed++) {
+      const source = tester.generate($CODE, seed);
+      assert($CODE.parseAll(new Lexer(source)).text === source, source);
+      assert(!/\bdef\b/.test(tester.generate($NAME, seed)));
+    }
+    assert(/^\d+(\.\d{1,2})?$/.test(tester.generate($NUMBER)));
+
+    // Past maxDepth, only the shortest ways out are taken
+    const shallow = new GrammarTester($CODE, { maxDepth: 0 });
+    assert(shallow.generate() === "");
+    for (let seed = 0; seed < 10; seed++)
+      assert(/^[^()*+-]+$/.test(shallow.generate($EXPR, seed)));
+
+    class $LOOP extends $AST {
+      static SHAPE = new Shape("(", () => $LOOP, ")");
+    }
+    assert(
+      errorOf(() => new GrammarTester($LOOP).generate()).message ===
+        "Can't generate $LOOP, it never ends"
+    );
+  });
+
+  it("fuzzing", () => {
+    assert(new GrammarTester($CODE).fuzz({ runs: 50 }).length === 0);
+
+    class $COMPARE extends $AST {
+      static SHAPE = new Shape($NUMBER, ["<", "<="], $NUMBER);
+    }
+    const tester = new GrammarTester($COMPARE);
+    const failures = tester.fuzz({ runs: 20 });
+    assert(failures.length > 0);
+    const [failure] = failures;
+    assert(failure instanceof GrammarTestError && failure.type === "rejected");
+    assert(failure.source.includes("<="));
+    assert(tester.generate($COMPARE, failure.seed) === failure.source);
+
+    class $CHECKED extends $AST {
+      static SHAPE = new Shape($NUMBER, { label: "number" });
+      static ACTION = ({ number }) => {
+        if (number > 99) throw new RangeError("too big");
+        return number;
+      };
+    }
+    const crashes = new GrammarTester($CHECKED).fuzz({ runs: 20 });
+    assert(crashes.length > 0 && crashes.every((c) => c.type === "crash"));
+    assert(crashes[0].reason === "RangeError: too big");
+    assert(crashes[0].cause instanceof RangeError);
+
+    class $SKIPPED extends $AST {
+      static SYNC = [";"];
+      static SHAPE = new Shape(
+        new Shape($NUMBER, ";"),
+        { max: Infinity },
+        "end"
+      );
+    }
+    assert(new GrammarTester($SKIPPED).check("1; x; end").type === "rejected");
+    assert(new GrammarTester($SKIPPED).check("1; 2; end") === null);
+  });
+});
+
+useTests("LanguageServer", () => {
+  const NUMBER = new TypePrimitive("number");
+  class $NAME extends $AST {
+    static SHAPE = new Shape(/^[a-z]\w*/);
+    static REFERENCE = true;
+    static s = "variable";
+    validate(env) {
+      if (env.has(this.text)) return [];
+      return [new ASTError(this.line, this.col, `undefined ${this.text}`)];
+    }
+  }
+  class $NUMBER extends $AST {
+    static SHAPE = new Shape(/^\d+/);
+    static s = "number";
+    getType() {
+      return NUMBER;
+    }
+  }
+  class $LET extends $AST {
+    static SHAPE = new Shape(
+      "let",
+      /^[a-z]\w*/,
+      { label: "target" },
+      "=",
+      [$NUMBER, $NAME],
+      { label: "init" }
+    );
+    static DECLARES = "target";
+    static s = "keyword";
+    validate(env) {
+      const errors = super.validate(env);
+      env.define(this.target.text, this.init.getType(env));
+      return errors;
+    }
+  }
+  class $BLOCK extends $INDENT_BLOCK {
+    static SHAPE = new Shape(() => $STATEMENT);
+  }
+  class $DEF extends $AST {
+    static SHAPE = new Shape("def", /^[a-z]\w*/, { label: "target" }, $BLOCK);
+    static DECLARES = "target";
+    static s = "keyword";
+    validate(env) {
+      env.define(this.target.text);
+      return super.validate(env);
+    }
+  }
+  class $STATEMENT extends $AST {
+    static SHAPE = new Shape([$DEF, $LET, $NAME]);
+  }
+  class $CODE extends $AST {
+    static SHAPE = new Shape($STATEMENT, { min: 0, max: Infinity });
+  }
+
+  const uri = "file:///test.code";
+  const source = "let a = 1\ndef f\n  let b = a\n  c\nf";
+  const connect = () => {
+    const server = new LanguageServer($CODE, {
+      symbolKind: (node) =>
+        node instanceof $DEF ? SymbolKind.Function : SymbolKind.Variable,
+    });
+    const sent = [];
+    server.send = (message) => sent.push(message);
+    let id = 0;
+    const request = (method, params) => {
+      server.handle({ jsonrpc: "2.0", id: ++id, method, params });
+      return sent.find((message) => message.id === id);
+    };
+    const notify = (method, params) =>
+      server.handle({ jsonrpc: "2.0", method, params });
+    return { server, sent, request, notify };
+  };
+  const textDocument = { uri };
+
+  it("initialize", () => {
+    const { request } = connect();
+    const { result } = request("initialize", { capabilities: {} });
+    const { capabilities } = result;
+    assert(capabilities.textDocumentSync === 1);
+    assert(
+      capabilities.semanticTokensProvider.legend.tokenTypes.join() ===
+        "keyword,number,variable"
+    );
+    assert(capabilities.hoverProvider && capabilities.foldingRangeProvider);
+    assert(request("shutdown").result === null);
+    assert(request("unknown/method").error.code === -32601);
+  });
+
+  it("diagnostics", () => {
+    const { sent, notify } = connect();
+    notify("textDocument/didOpen", {
+      textDocument: { uri, text: source, version: 1 },
+    });
+    const [published] = sent;
+    assert(published.method === "textDocument/publishDiagnostics");
+    assert(published.params.uri === uri && published.params.version === 1);
+    assert(
+      published.params.diagnostics.matches([
+        {
+          range: { start: { line: 3, character: 2 } },
+          severity: 1,
+          message: "undefined c",
+        },
+      ])
+    );
+
+    notify("textDocument/didChange", {
+      textDocument: { uri, version: 2 },
+      contentChanges: [{ text: "let = 1" }],
+    });
+    const { diagnostics } = sent[1].params;
+    assert(
+      diagnostics.length === 1 && diagnostics[0].range.start.character === 4
+    );
+    assert(diagnostics[0].message.startsWith("expected"));
+
+    notify("textDocument/didClose", { textDocument });
+    assert(sent[2].params.diagnostics.length === 0);
+  });
+
+  it("features", () => {
+    const { request, notify } = connect();
+    notify("textDocument/didOpen", {
+      textDocument: { uri, text: source, version: 1 },
+    });
+
+    // The names declared by $LET and $DEF are styled like them
+    const { data } = request("textDocument/semanticTokens/full", {
+      textDocument,
+    }).result;
+    assert(data.length % 5 === 0);
+    assert(data.slice(0, 5).join() === "0,0,3,0,0");
+    assert(data.slice(-5).join() === "1,0,1,2,0", data.join());
+
+    const symbols = request("textDocument/documentSymbol", {
+      textDocument,
+    }).result;
+    assert(symbols.map((s) => s.name).join() === "a,f");
+    assert(symbols[1].kind === SymbolKind.Function);
+    assert(symbols[1].children.map((s) => s.name).join() === "b");
+    assert(
+      symbols[1].selectionRange.matches({
+        start: { line: 1, character: 4 },
+        end: { line: 1, character: 5 },
+      })
+    );
+
+    const folds = request("textDocument/foldingRange", { textDocument }).result;
+    assert(folds.matches([{ startLine: 1, endLine: 3 }]));
+
+    const hover = (line, character) =>
+      request("textDocument/hover", {
+        textDocument,
+        position: { line, character },
+      }).result;
+    assert(hover(0, 8).contents.value === "`$NUMBER`: `number`");
+    assert(hover(3, 2).contents.value === "`$NAME`");
+    assert(hover(3, 2).range.start.line === 3);
+
+    const definition = request("textDocument/definition", {
+      textDocument,
+      position: { line: 4, character: 0 },
+    }).result;
+    assert(definition.range.start.matches({ line: 1, character: 4 }));
+    const references = request("textDocument/references", {
+      textDocument,
+      position: { line: 0, character: 4 },
+      context: { includeDeclaration: true },
+    }).result;
+    assert(references.map((r) => r.range.start.line).join() === "0,2");
+    assert(
+      request("textDocument/hover", {
+        textDocument: { uri: "file:///unknown" },
+        position: { line: 0, character: 0 },
+      }).error.code === -32603
+    );
+  });
+
+  it("line breaks", () => {
+    const { request, notify, sent } = connect();
+    const text = source.replace(/\n/g, "\r\n");
+    notify("textDocument/didOpen", { textDocument: { uri, text, version: 1 } });
+    assert(
+      sent[0].params.diagnostics[0].range.start.matches({
+        line: 3,
+        character: 2,
+      })
+    );
+    const hover = request("textDocument/hover", {
+      textDocument,
+      position: { line: 2, character: 10 },
+    }).result;
+    assert(hover.contents.value === "`$NAME`");
+    assert(hover.range.start.matches({ line: 2, character: 10 }));
+    const folds = request("textDocument/foldingRange", { textDocument }).result;
+    assert(folds.matches([{ startLine: 1, endLine: 3 }]));
+  });
+
+  it("framing", () => {
+    const server = new LanguageServer($CODE);
+    const sent = [];
+    server.send = (message) => sent.push(message);
+    const message = LanguageServer.frame({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { name: "é" },
+    });
+    assert(message.startsWith("Content-Length: 69\r\n\r\n"), message);
+
+    const bytes = new TextEncoder().encode(message + message);
+    server.receive(bytes.slice(0, 10));
+    server.receive(bytes.slice(10, 100));
+    assert(sent.length === 1 && sent[0].result.capabilities);
+    server.receive(bytes.slice(100));
+    assert(sent.length === 2);
+    server.receive("Content-Length: 1\r\n\r\n{");
+    assert(sent[2].error.code === -32700);
+
+    // Headers without a length are dropped, once
+    server.receive("Content-Type: x\r\n\r\n");
+    assert(sent.length === 4 && sent[3].error.code === -32700);
+    assert(sent[3].error.message.includes("Content-Type"));
+    server.receive(message);
+    assert(sent.length === 5 && sent[4].result.capabilities);
+  });
 });
@@ -0,0 +1,387 @@
+import {
+  $INDENT_BLOCK,
+  GrammarAnalyzer,
+  Lexer,
+  ParseError,
+  SymbolTable,
+  TypeEnv,
+  TypeUnknown,
+} from "./index.js";
+
+// LSP constants used by the server
+export const SymbolKind = {
+  File: 1,
+  Module: 2,
+  Namespace: 3,
+  Class: 5,
+  Method: 6,
+  Property: 7,
+  Field: 8,
+  Function: 12,
+  Variable: 13,
+  Constant: 14,
+};
+const DiagnosticSeverity = { Error: 1 };
+const ErrorCodes = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const HEADER_END = encoder.encode("\r\n\r\n");
+
+const LINE_BREAK = /\r\n|\r|\n/;
+
+const position = (line, character) => ({ line, character });
+// The range of a token or node, from its first to the end of its last content
+// token
+const rangeOf = (exp) => {
+  const tokens = exp.AST ? exp.contentTokens : [exp];
+  if (!tokens.length) return { start: position(0, 0), end: position(0, 0) };
+  const [first, last] = [tokens[0], tokens.at(-1)];
+  const lines = last.value.split(LINE_BREAK);
+  return {
+    start: position(first.line, first.col),
+    end: position(
+      last.line + lines.length - 1,
+      (lines.length > 1 ? 0 : last.col) + lines.at(-1).length
+    ),
+  };
+};
+// The cursor of a position in `text`
+const offsetOf = (text, { line, character }) => {
+  const lineBreaks = new RegExp(LINE_BREAK, "g");
+  let offset = 0;
+  for (let l = 0; l < line && lineBreaks.exec(text); l++)
+    offset = lineBreaks.lastIndex;
+  return offset + character;
+};
+
+// A Language Server Protocol server for documents parsed with `$ROOT`. It
+// speaks JSON-RPC through `handle(message)` and `send(message)`, or over
+// Content-Length framed streams with `listen`.
+export class LanguageServer {
+  constructor(
+    $ROOT,
+    {
+      lexerOptions = {},
+      // node => SymbolKind of the names a DECLARES node declares
+      symbolKind = () => SymbolKind.Variable,
+      // (node, document) => markdown, or null for no hover
+      hover = null,
+    } = {}
+  ) {
+    this.$ROOT = $ROOT;
+    this.lexerOptions = lexerOptions;
+    this.symbolKind = symbolKind;
+    if (hover) this.hover = hover;
+    // Documents by uri: { uri, text, version, ast, error, diagnostics }
+    this.documents = new Map();
+    this.buffer = new Uint8Array();
+    this.isShutdown = false;
+    // Replaced by listen, or by a client in tests
+    this.send = () => {};
+    this.onExit = () => {};
+
+    // Semantic token types are the `s` styles of the classes reachable from
+    // the root, tokens of other styles aren't highlighted
+    const classes = new GrammarAnalyzer($ROOT).reachableRules();
+    this.styles = new Map(
+      [...classes]
+        .filter(($CLASS) => $CLASS.s)
+        .map(($CLASS) => [$CLASS.name.slice(1), $CLASS.s])
+    );
+    this.tokenTypes = [...new Set(this.styles.values())];
+  }
+
+  static frame(message) {
+    const json = JSON.stringify(message);
+    return `Content-Length: ${encoder.encode(json).length}\r\n\r\n${json}`;
+  }
+
+  // Serves over streams, stdio by default
+  listen(input = process.stdin, output = process.stdout) {
+    this.send = (message) => output.write(LanguageServer.frame(message));
+    this.onExit = (code) => process.exit(code);
+    input.on("data", (chunk) => this.receive(chunk));
+  }
+
+  // Buffers framed input, handling every complete message in it
+  receive(chunk) {
+    const bytes = typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+    const buffer = new Uint8Array(this.buffer.length + bytes.length);
+    buffer.set(this.buffer);
+    buffer.set(bytes, this.buffer.length);
+    this.buffer = buffer;
+
+    while (true) {
+      const headerEnd = this.buffer.findIndex((_, i) =>
+        HEADER_END.every((byte, j) => this.buffer[i + j] === byte)
+      );
+      if (headerEnd === -1) return;
+      const header = decoder.decode(this.buffer.slice(0, headerEnd));
+      const length = Number(header.match(/Content-Length: *(\d+)/i)?.[1]);
+      const start = headerEnd + HEADER_END.length;
+      const parseError = (message) =>
+        this.send({
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: ErrorCodes.ParseError, message },
+        });
+      // Without a length the body can't be found, the header is dropped
+      if (!Number.isInteger(length)) {
+        this.buffer = this.buffer.slice(start);
+        parseError(`Invalid header ${JSON.stringify(header)}`);
+        continue;
+      }
+      if (this.buffer.length < start + length) return;
+
+      const body = decoder.decode(this.buffer.slice(start, start + length));
+      this.buffer = this.buffer.slice(start + length);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (e) {
+        parseError(e.message);
+        continue;
+      }
+      this.handle(message);
+    }
+  }
+
+  // Handles a request or notification, sending the response of requests
+  handle({ id, method, params = {} }) {
+    const isRequest = id !== undefined;
+    const handler = LanguageServer.methods[method];
+    if (!handler) {
+      if (isRequest)
+        this.send({
+          jsonrpc: "2.0",
+          id,
+          error: {
+            code: ErrorCodes.MethodNotFound,
+            message: `Unhandled method ${method}`,
+          },
+        });
+      return;
+    }
+
+    try {
+      const result = handler.call(this, params);
+      if (isRequest) this.send({ jsonrpc: "2.0", id, result: result ?? null });
+    } catch (e) {
+      if (isRequest)
+        this.send({
+          jsonrpc: "2.0",
+          id,
+          error: { code: ErrorCodes.InternalError, message: e.message },
+        });
+    }
+  }
+
+  static methods = {
+    initialize() {
+      return {
+        capabilities: {
+          // Whole documents are sent on every change
+          textDocumentSync: 1,
+          semanticTokensProvider: {
+            legend: { tokenTypes: this.tokenTypes, tokenModifiers: [] },
+            full: true,
+          },
+          documentSymbolProvider: true,
+          foldingRangeProvider: true,
+          hoverProvider: true,
+          definitionProvider: true,
+          referencesProvider: true,
+        },
+        serverInfo: { name: "panda-parse" },
+      };
+    },
+    initialized() {},
+    shutdown() {
+      this.isShutdown = true;
+      return null;
+    },
+    exit() {
+      this.onExit(this.isShutdown ? 0 : 1);
+    },
+
+    "textDocument/didOpen"({ textDocument: { uri, text, version } }) {
+      this.update(uri, text, version);
+    },
+    "textDocument/didChange"({
+      textDocument: { uri, version },
+      contentChanges,
+    }) {
+      this.update(uri, contentChanges.at(-1).text, version);
+    },
+    "textDocument/didClose"({ textDocument: { uri } }) {
+      this.documents.delete(uri);
+      this.send({
+        jsonrpc: "2.0",
+        method: "textDocument/publishDiagnostics",
+        params: { uri, diagnostics: [] },
+      });
+    },
+
+    "textDocument/semanticTokens/full"({ textDocument: { uri } }) {
+      return { data: this.semanticTokens(this.document(uri)) };
+    },
+    "textDocument/documentSymbol"({ textDocument: { uri } }) {
+      const { ast } = this.document(uri);
+      return ast ? this.documentSymbols(ast) : [];
+    },
+    "textDocument/foldingRange"({ textDocument: { uri } }) {
+      const { ast } = this.document(uri);
+      return ast ? this.foldingRanges(ast) : [];
+    },
+    "textDocument/hover"({ textDocument: { uri }, position }) {
+      const document = this.document(uri);
+      const path =
+        document.ast && document.ast.nodeAt(offsetOf(document.text, position));
+      const node = path && path.node;
+      const contents = node && this.hover(node, document);
+      if (!contents) return null;
+      return {
+        contents: { kind: "markdown", value: contents },
+        range: rangeOf(node),
+      };
+    },
+    "textDocument/definition"({ textDocument: { uri }, position }) {
+      const table = this.symbolTable(uri);
+      const declaration =
+        table && table.definitionAt(position.line, position.character);
+      return declaration && { uri, range: rangeOf(declaration) };
+    },
+    "textDocument/references"({ textDocument: { uri }, position, context }) {
+      const table = this.symbolTable(uri);
+      if (!table) return [];
+      return table
+        .referencesAt(position.line, position.character, {
+          includeDeclaration: context ? context.includeDeclaration : true,
+        })
+        .map((exp) => ({ uri, range: rangeOf(exp) }));
+    },
+  };
+
+  document(uri) {
+    const document = this.documents.get(uri);
+    if (!document) throw new Error(`Unknown document ${uri}`);
+    return document;
+  }
+
+  // Parses and validates a document, publishing its diagnostics
+  update(uri, text, version) {
+    const document = { uri, text, version, ast: null, error: null };
+    try {
+      document.ast = this.$ROOT.parseAll(new Lexer(text, this.lexerOptions));
+    } catch (e) {
+      if (!(e instanceof ParseError)) throw e;
+      document.error = e;
+    }
+
+    const errors = document.ast
+      ? document.ast.validate(new TypeEnv())
+      : [
+          {
+            line: document.error.line,
+            col: document.error.col,
+            message: document.error.reason,
+          },
+        ];
+    document.diagnostics = errors.map(({ line, col, message }) => ({
+      range: { start: position(line, col), end: position(line, col) },
+      severity: DiagnosticSeverity.Error,
+      source: "panda-parse",
+      message,
+    }));
+    this.documents.set(uri, document);
+    this.send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: { uri, version, diagnostics: document.diagnostics },
+    });
+    return document;
+  }
+
+  symbolTable(uri) {
+    const document = this.document(uri);
+    if (!document.ast) return null;
+    if (!document.table) document.table = new SymbolTable(document.ast);
+    return document.table;
+  }
+
+  // Relative [line, col, length, type, modifiers] of the styled tokens, one
+  // per line of multiline tokens
+  semanticTokens({ ast }) {
+    if (!ast) return [];
+    const data = [];
+    let prevLine = 0;
+    let prevCol = 0;
+    ast.getVisibleTokens().forEach((token) => {
+      const type = this.tokenTypes.indexOf(
+        token.s || this.styles.get(token.astName)
+      );
+      if (type === -1) return;
+      token.value.split(LINE_BREAK).forEach((value, i) => {
+        const line = token.line + i;
+        const col = i ? 0 : token.col;
+        if (!value.trim()) return;
+        data.push(
+          line - prevLine,
+          line === prevLine ? col - prevCol : col,
+          value.length,
+          type,
+          0
+        );
+        prevLine = line;
+        prevCol = col;
+      });
+    });
+    return data;
+  }
+
+  // The names declared in the tree (see $AST.DECLARES), nested in the
+  // declarations containing them
+  documentSymbols(node) {
+    return node.exps.flatMap((exp) => {
+      if (!exp.AST) return [];
+      const { DECLARES } = exp.constructor;
+      const children = this.documentSymbols(exp);
+      const declarations = DECLARES ? [exp[DECLARES]].flat() : [];
+      if (!declarations.some(Boolean)) return children;
+      return declarations.filter(Boolean).map((declaration) => ({
+        name: declaration.text.trim(),
+        kind: this.symbolKind(exp),
+        range: rangeOf(exp),
+        selectionRange: rangeOf(declaration),
+        children,
+      }));
+    });
+  }
+
+  // A range for every $INDENT_BLOCK, from the line before it to its last line
+  foldingRanges(node) {
+    const ranges = [];
+    const visit = (exp) => {
+      if (!exp.AST) return;
+      if (exp instanceof $INDENT_BLOCK && !exp.isInline) {
+        const { start, end } = rangeOf(exp);
+        ranges.push({ startLine: start.line - 1, endLine: end.line });
+      }
+      exp.exps.forEach(visit);
+    };
+    visit(node);
+    return ranges;
+  }
+
+  // The class of the node, and its type when it's known
+  hover(node) {
+    const type = node.getType(new TypeEnv());
+    if (type instanceof TypeUnknown) return `\`${node.name}\``;
+    return `\`${node.name}\`: \`${type}\``;
+  }
+}